@@ -14,7 +14,7 @@ echo "Bundling graphiqlExplorer.js..."
 browserify -g browserify-shim -s GraphiQLExplorer dist/index.js > graphiqlExplorer.js
 echo "Bundling graphiqlExplorer.min.js..."
 browserify -g browserify-shim -t uglifyify -s GraphiQLExplorer dist/index.js | uglifyjs -c > graphiqlExplorer.min.js
-# echo "Bundling graphiql.css..."
-# postcss --no-map --use autoprefixer -d dist/ css/*.css
-# cat dist/*.css > graphiql.css
+echo "Bundling graphiqlExplorer.css..."
+postcss --no-map --use autoprefixer -d dist/ css/*.css
+cat dist/*.css > graphiqlExplorer.css
 echo "Done"
@@ -1,32 +1,62 @@
 // @flow
 
-// TODO: 1. Add default fields recursively
-// TODO: 2. Add default fields for all selections (not just fragments)
-// TODO: 3. Add stylesheet and remove inline styles
-// TODO: 4. Indication of when query in explorer diverges from query in editor pane
-// TODO: 5. Separate section for deprecated args, with support for 'beta' fields
 // TODO: 6. Custom default arg fields
 
-// Note: Attempted 1. and 2., but they were more annoying than helpful
-
 import * as React from 'react';
 
 import {
   getNamedType,
-  GraphQLObjectType,
+  getNullableType,
   isEnumType,
   isInputObjectType,
   isInterfaceType,
   isLeafType,
-  isNonNullType,
+  isListType,
   isObjectType,
-  isRequiredInputField,
   isScalarType,
   isUnionType,
   isWrappingType,
+  isCompositeType,
+  isNonNullType,
+  astFromValue,
+  doTypesOverlap,
+  getDirectiveValues,
+  GraphQLDeprecatedDirective,
   parse,
+  parseType,
   print,
+  validate,
+  valueFromASTUntyped,
+  visit,
+  Source,
+  TokenKind,
 } from 'graphql';
+import {createLexer} from 'graphql/language/lexer';
+
+import {
+  addFieldPath,
+  addOperation,
+  capitalize,
+  coerceArgValue,
+  defaultArgs,
+  defaultDirectiveArgs,
+  defaultGetDefaultFieldNames,
+  defaultGetDefaultScalarArgValue,
+  defaultInputValue,
+  defaultSelectionSet,
+  defaultValue,
+  deleteOperation,
+  duplicateOperation,
+  fragmentFitsType,
+  isRequiredArgument,
+  moveOperation,
+  newFieldSelection,
+  renameOperation,
+  replaceArgument,
+  replaceSelection,
+  retypeOperation,
+} from './editing';
+import {printDocumentEdit} from './printing';
 
 import type {
   ArgumentNode,
@@ -35,61 +65,106 @@ import type {
   FieldNode,
   GraphQLArgument,
   GraphQLEnumType,
-  GraphQLField,
+  GraphQLEnumValue,
+  GraphQLError,
   GraphQLFieldMap,
   GraphQLInputField,
   GraphQLInputType,
+  GraphQLObjectType,
   GraphQLOutputType,
   GraphQLScalarType,
   GraphQLSchema,
   InlineFragmentNode,
   FragmentDefinitionNode,
+  FragmentSpreadNode,
+  DirectiveNode,
+  GraphQLDirective,
+  GraphQLNamedType,
   OperationDefinitionNode,
   ObjectFieldNode,
   ObjectValueNode,
   SelectionNode,
   SelectionSetNode,
   ValueNode,
+  VariableDefinitionNode,
 } from 'graphql';
 
-type Field = GraphQLField<any, any>;
+import type {
+  Field,
+  GetDefaultScalarArgValue,
+  MakeDefaultArg,
+  RootOperationType,
+  Selections,
+} from './editing';
+
+export {defaultValue};
 
-type GetDefaultScalarArgValue = (
-  parentField: Field,
-  arg: GraphQLArgument | GraphQLInputField,
-  underlyingArgType: GraphQLEnumType | GraphQLScalarType,
-) => ValueNode;
+// Input widgets for custom scalars, by scalar name
+type ScalarInputs = {[scalarName: string]: ?ScalarInputConfig};
 
-type MakeDefaultArg = (
-  parentField: Field,
-  arg: GraphQLArgument | GraphQLInputField,
-) => boolean;
+type IsBetaField = (field: Field) => boolean;
+
+// What a selected field costs, given its argument values and the cost of its
+// own selections
+type GetFieldCost = (
+  field: Field,
+  args: {[argName: string]: mixed},
+  childCost: number,
+) => number;
+
+// Called with the type or field to open in the host's documentation, e.g.
+// GraphiQL's doc explorer
+type OnShowDoc = (typeOrField: GraphQLNamedType | Field) => void;
+
+// Past any of these, the operation's complexity is shown as a warning
+type ComplexityLimits = {
+  maxDepth?: number,
+  maxFields?: number,
+  maxCost?: number,
+};
 
+// Overrides for the `--graphiql-explorer-*` color properties in
+// css/explorer.css
 type Colors = {
-  keyword: string,
-  def: string,
-  property: string,
-  qualifier: string,
-  attribute: string,
-  number: string,
-  string: string,
-  builtin: string,
-  string2: string,
-  variable: string,
-  atom: string,
+  keyword?: string,
+  def?: string,
+  property?: string,
+  qualifier?: string,
+  attribute?: string,
+  number?: string,
+  string?: string,
+  builtin?: string,
+  string2?: string,
+  variable?: string,
+  atom?: string,
+  warning?: string,
 };
 
+const colorNames: Array<$Keys<Colors>> = [
+  'keyword',
+  'def',
+  'property',
+  'qualifier',
+  'attribute',
+  'number',
+  'string',
+  'builtin',
+  'string2',
+  'variable',
+  'atom',
+  'warning',
+];
+
 type StyleMap = {
   [key: string]: any,
 };
 
 type Styles = {
-  explorerActionsStyle: StyleMap,
-  buttonStyle: StyleMap,
+  explorerActionsStyle?: StyleMap,
+  buttonStyle?: StyleMap,
 };
 
 type StyleConfig = {
-  colors: Colors,
   arrowOpen: React.Node,
   arrowClosed: React.Node,
   checkboxChecked: React.Node,
@@ -99,17 +174,34 @@ type StyleConfig = {
 
 type Props = {
   query: string,
+  variables?: ?string,
   width?: number,
   title?: string,
   schema?: ?GraphQLSchema,
   onEdit: string => void,
+  // Use `document` instead of parsing `query`, and `onEditDocument` instead of
+  // `onEdit`, to hand the query back and forth as an AST
+  document?: ?DocumentNode,
+  onEditDocument?: ?(document: DocumentNode) => void,
+  onEditVariables?: ?(variables: string) => void,
+  // Called with the syntax error when the query stops parsing, and with null
+  // once it parses again
+  onParseError?: ?(error: ?GraphQLError) => void,
   getDefaultFieldNames?: ?(type: GraphQLObjectType) => Array<string>,
+  autoSelectDepth?: number,
   getDefaultScalarArgValue?: ?GetDefaultScalarArgValue,
   makeDefaultArg?: ?MakeDefaultArg,
+  scalarInputs?: ?ScalarInputs,
+  isBetaField?: ?IsBetaField,
+  showTypes?: boolean,
+  onShowDoc?: ?OnShowDoc,
+  getFieldCost?: ?GetFieldCost,
+  complexityLimits?: ?ComplexityLimits,
   onToggleExplorer: () => void,
   explorerIsOpen: boolean,
   onRunOperation?: (name: ?string) => void,
   colors?: ?Colors,
+  theme?: 'light' | 'dark',
   arrowOpen?: ?React.Node,
   arrowClosed?: ?React.Node,
   checkboxChecked?: ?React.Node,
@@ -119,56 +211,55 @@ type Props = {
     buttonStyle?: StyleMap,
   },
   showAttribution: boolean,
+  searchDepth?: number,
 };
 
+// The query as the host passed it in, before or after an explorer edit, and
+// the variables that went with it
+type HistoryEntry = {|
+  query: string,
+  document: ?DocumentNode,
+  variables: ?string,
+|};
+
 type State = {|
-  operation: OperationDefinitionNode,
+  searchTerm: string,
+  // Keyed by `operationKey`, so it survives edits to the query text
+  collapsedOperations: {[operationKey: string]: boolean},
+  undoStack: Array<HistoryEntry>,
+  redoStack: Array<HistoryEntry>,
+|};
+
+type Variables = {[name: string]: mixed};
+
+type RootViewIdentity = {|
+  name: ?string,
+  kind: string,
+  key: number,
 |};
 
-type Selections = $ReadOnlyArray<SelectionNode>;
-
-function capitalize(string) {
-  return string.charAt(0).toUpperCase() + string.slice(1);
-}
-
-// Names match class names in graphiql app.css
-// https://github.com/graphql/graphiql/blob/master/packages/graphiql/css/app.css
-const defaultColors: Colors = {
-  keyword: '#B11A04',
-  // OperationName, FragmentName
-  def: '#D2054E',
-  // FieldName
-  property: '#1F61A0',
-  // FieldAlias
-  qualifier: '#1C92A9',
-  // ArgumentName and ObjectFieldName
-  attribute: '#8B2BB9',
-  number: '#2882F9',
-  string: '#D64292',
-  // Boolean
-  builtin: '#D47509',
-  // Enum
-  string2: '#0B7FC7',
-  variable: '#397D13',
-  // Type
-  atom: '#CA9800',
+// Operation-level changes that travel up with a selection change, e.g. the
+// variable definition created when an argument is turned into a variable.
+type ModifyOptions = {
+  variableDefinitions?: $ReadOnlyArray<VariableDefinitionNode>,
+  variables?: Variables,
 };
 
 const defaultArrowOpen = (
-  <svg width="12" height="9">
+  <svg className="graphiql-explorer-arrow" width="12" height="9">
     <path fill="#666" d="M 0 2 L 9 2 L 4.5 7.5 z" />
   </svg>
 );
 
 const defaultArrowClosed = (
-  <svg width="12" height="9">
+  <svg className="graphiql-explorer-arrow" width="12" height="9">
     <path fill="#666" d="M 0 0 L 0 9 L 5.5 4.5 z" />
   </svg>
 );
 
 const defaultCheckboxChecked = (
   <svg
-    style={{marginRight: '3px', marginLeft: '-3px'}}
+    className="graphiql-explorer-checkbox graphiql-explorer-checkbox-checked"
     width="12"
     height="12"
     viewBox="0 0 18 18"
@@ -183,7 +274,7 @@ const defaultCheckboxChecked = (
 
 const defaultCheckboxUnchecked = (
   <svg
-    style={{marginRight: '3px', marginLeft: '-3px'}}
+    className="graphiql-explorer-checkbox"
     width="12"
     height="12"
     viewBox="0 0 18 18"
@@ -202,53 +293,6 @@ function Checkbox(props: {checked: boolean, styleConfig: StyleConfig}) {
     : props.styleConfig.checkboxUnchecked;
 }
 
-function defaultGetDefaultFieldNames(type: GraphQLObjectType): Array<string> {
-  const fields = type.getFields();
-
-  // Is there an `id` field?
-  if (fields['id']) {
-    const res = ['id'];
-    if (fields['email']) {
-      res.push('email');
-    } else if (fields['name']) {
-      res.push('name');
-    }
-    return res;
-  }
-
-  // Is there an `edges` field?
-  if (fields['edges']) {
-    return ['edges'];
-  }
-
-  // Is there an `node` field?
-  if (fields['node']) {
-    return ['node'];
-  }
-
-  if (fields['nodes']) {
-    return ['nodes'];
-  }
-
-  // Include all leaf-type fields.
-  const leafFieldNames = [];
-  Object.keys(fields).forEach(fieldName => {
-    if (isLeafType(fields[fieldName].type)) {
-      leafFieldNames.push(fieldName);
-    }
-  });
-
-  if (!leafFieldNames.length) {
-    // No leaf fields, add typename so that the query stays valid
-    return ['__typename'];
-  }
-  return leafFieldNames.slice(0, 2); // Prevent too many fields from being added
-}
-
-function isRequiredArgument(arg: GraphQLArgument): boolean %checks {
-  return isNonNullType(arg.type) && arg.defaultValue === undefined;
-}
-
 function unwrapOutputType(outputType: GraphQLOutputType): * {
   let unwrappedType = outputType;
   while (isWrappingType(unwrappedType)) {
@@ -265,75 +309,129 @@ function unwrapInputType(inputType: GraphQLInputType): * {
   return unwrappedType;
 }
 
-function coerceArgValue(
-  argType: GraphQLScalarType | GraphQLEnumType,
-  value: string,
-): ValueNode {
-  if (isScalarType(argType)) {
-    try {
-      switch (argType.name) {
-        case 'String':
-          return {
-            kind: 'StringValue',
-            value: String(argType.parseValue(value)),
-          };
-        case 'Float':
-          return {
-            kind: 'FloatValue',
-            value: String(argType.parseValue(parseFloat(value))),
-          };
-        case 'Int':
-          return {
-            kind: 'IntValue',
-            value: String(argType.parseValue(parseInt(value, 10))),
-          };
-        case 'Boolean':
-          try {
-            const parsed = JSON.parse(value);
-            if (typeof parsed === 'boolean') {
-              return {kind: 'BooleanValue', value: parsed};
-            } else {
-              return {kind: 'BooleanValue', value: false};
-            }
-          } catch (e) {
-            return {
-              kind: 'BooleanValue',
-              value: false,
-            };
-          }
-        default:
-          return {
-            kind: 'StringValue',
-            value: String(argType.parseValue(value)),
-          };
+function uniqueVariableName(
+  definition: OperationDefinitionNode,
+  baseName: string,
+): string {
+  const takenNames = (definition.variableDefinitions || []).map(
+    variableDefinition => variableDefinition.variable.name.value,
+  );
+  let name = baseName;
+  let suffix = 1;
+  while (takenNames.indexOf(name) !== -1) {
+    suffix += 1;
+    name = `${baseName}${suffix}`;
+  }
+  return name;
+}
+
+function countVariableUsages(
+  definition: OperationDefinitionNode,
+  name: string,
+): number {
+  let count = 0;
+  visit(definition.selectionSet, {
+    Variable(node) {
+      if (node.name.value === name) {
+        count += 1;
       }
-    } catch (e) {
-      console.error('error coercing arg value', e, value);
-      return {kind: 'StringValue', value: value};
-    }
-  } else {
+    },
+  });
+  return count;
+}
+
+// Swaps a literal argument value for a new `$variable`, or inlines the
+// variable's current value again. Returns the new value along with the
+// variable definitions and variables that have to change with it.
+function toggleVariable(
+  definition: OperationDefinitionNode,
+  variables: Variables,
+  arg: GraphQLArgument | GraphQLInputField,
+  value: ValueNode,
+  getFallbackValue: () => ?ValueNode,
+): ?{value: ValueNode, options: ModifyOptions} {
+  const variableDefinitions = definition.variableDefinitions || [];
+
+  if (value.kind !== 'Variable') {
+    const name = uniqueVariableName(definition, arg.name);
+    const variable = {kind: 'Variable', name: {kind: 'Name', value: name}};
+    return {
+      value: variable,
+      options: {
+        variableDefinitions: [
+          ...variableDefinitions,
+          {
+            kind: 'VariableDefinition',
+            variable,
+            type: parseType(String(arg.type)),
+            directives: [],
+          },
+        ],
+        variables: {
+          ...variables,
+          [name]: valueFromASTUntyped(value, variables),
+        },
+      },
+    };
+  }
+
+  const name = value.name.value;
+  const variableDefinition = variableDefinitions.find(
+    variableDefinition => variableDefinition.variable.name.value === name,
+  );
+
+  let literal = null;
+  if (Object.prototype.hasOwnProperty.call(variables, name)) {
     try {
-      const parsedValue = argType.parseValue(value);
-      if (parsedValue) {
-        return {kind: 'EnumValue', value: String(parsedValue)};
-      } else {
-        return {kind: 'EnumValue', value: argType.getValues()[0].name};
-      }
+      literal = astFromValue(variables[name], arg.type);
     } catch (e) {
-      return {kind: 'EnumValue', value: argType.getValues()[0].name};
+      console.error('error inlining variable value', e, variables[name]);
     }
   }
+  if (!literal && variableDefinition && variableDefinition.defaultValue) {
+    literal = variableDefinition.defaultValue;
+  }
+  if (!literal) {
+    literal = getFallbackValue();
+  }
+  if (!literal) {
+    return null;
+  }
+
+  if (countVariableUsages(definition, name) > 1) {
+    return {value: literal, options: {}};
+  }
+
+  const nextVariables = {...variables};
+  delete nextVariables[name];
+  return {
+    value: literal,
+    options: {
+      variableDefinitions: variableDefinitions.filter(
+        def => def !== variableDefinition,
+      ),
+      variables: nextVariables,
+    },
+  };
 }
 
 type InputArgViewProps = {|
   arg: GraphQLArgument,
   selection: ObjectValueNode,
-  parentField: Field,
-  modifyFields: (fields: $ReadOnlyArray<ObjectFieldNode>) => void,
+  parentField: ?Field,
+  modifyFields: (
+    fields: $ReadOnlyArray<ObjectFieldNode>,
+    options?: ?ModifyOptions,
+  ) => void,
   getDefaultScalarArgValue: GetDefaultScalarArgValue,
+  scalarInputs: ScalarInputs,
   makeDefaultArg: ?MakeDefaultArg,
   onRunOperation: void => void,
+  showTypes: boolean,
+  onShowDoc: ?OnShowDoc,
   styleConfig: StyleConfig,
+  definition: FragmentDefinitionNode | OperationDefinitionNode,
+  variables: Variables,
 |};
 
 class InputArgView extends React.PureComponent<InputArgViewProps, {}> {
@@ -366,27 +464,21 @@ class InputArgView extends React.PureComponent<InputArgViewProps, {}> {
     let argSelection = null;
     if (this._previousArgSelection) {
       argSelection = this._previousArgSelection;
-    } else if (isInputObjectType(argType)) {
-      const fields = argType.getFields();
-      argSelection = {
-        kind: 'ObjectField',
-        name: {kind: 'Name', value: arg.name},
-        value: {
-          kind: 'ObjectValue',
-          fields: defaultInputObjectFields(
-            getDefaultScalarArgValue,
-            makeDefaultArg,
-            parentField,
-            Object.keys(fields).map(k => fields[k]),
-          ),
-        },
-      };
-    } else if (isLeafType(argType)) {
-      argSelection = {
-        kind: 'ObjectField',
-        name: {kind: 'Name', value: arg.name},
-        value: getDefaultScalarArgValue(parentField, arg, argType),
-      };
+    } else {
+      const value = defaultInputValue(
+        getDefaultScalarArgValue,
+        makeDefaultArg,
+        parentField,
+        arg,
+        arg.type,
+      );
+      if (value) {
+        argSelection = {
+          kind: 'ObjectField',
+          name: {kind: 'Name', value: arg.name},
+          value,
+        };
+      }
     }
 
     if (!argSelection) {
@@ -397,44 +489,103 @@ class InputArgView extends React.PureComponent<InputArgViewProps, {}> {
   };
 
   _setArgValue = event => {
+    const argType = unwrapInputType(this.props.arg.type);
+    if (!isLeafType(argType)) {
+      console.warn('Unable to handle non leaf types in setArgValue');
+      return;
+    }
+    this._setArgValueNode(coerceArgValue(argType, event.target.value));
+  };
+
+  _setArgValueNode = (value: ValueNode) => {
     const {selection} = this.props;
     const argSelection = this._getArgSelection();
     if (!argSelection) {
       console.error('missing arg selection when setting arg value');
       return;
     }
-    const argType = unwrapInputType(this.props.arg.type);
-    if (!isLeafType(argType)) {
-      console.warn('Unable to handle non leaf types in setArgValue');
-      return;
-    }
-    const targetValue = event.target.value;
 
     this.props.modifyFields(
       (selection.fields || []).map(field =>
-        field === argSelection
+        field === argSelection ? {...field, value} : field,
+      ),
+    );
+  };
+
+  _modifyChildFields = (fields, options) => {
+    this.props.modifyFields(
+      this.props.selection.fields.map(field =>
+        field.name.value === this.props.arg.name
           ? {
               ...field,
-              value: coerceArgValue(argType, targetValue),
+              value: {
+                kind: 'ObjectValue',
+                fields: fields,
+              },
             }
           : field,
       ),
+      options,
     );
   };
 
-  _modifyChildFields = fields => {
+  _setArgListValues = (
+    values: $ReadOnlyArray<ValueNode>,
+    options?: ?ModifyOptions,
+  ) => {
     this.props.modifyFields(
       this.props.selection.fields.map(field =>
         field.name.value === this.props.arg.name
           ? {
               ...field,
               value: {
-                kind: 'ObjectValue',
-                fields: fields,
+                kind: 'ListValue',
+                values,
               },
             }
           : field,
       ),
+      options,
+    );
+  };
+
+  _toggleVariable = () => {
+    const {
+      selection,
+      definition,
+      variables,
+      arg,
+      parentField,
+      getDefaultScalarArgValue,
+      makeDefaultArg,
+    } = this.props;
+    const argSelection = this._getArgSelection();
+    if (!argSelection || definition.kind !== 'OperationDefinition') {
+      return;
+    }
+    const change = toggleVariable(
+      definition,
+      variables,
+      arg,
+      argSelection.value,
+      () =>
+        defaultInputValue(
+          getDefaultScalarArgValue,
+          makeDefaultArg,
+          parentField,
+          arg,
+          arg.type,
+        ),
+    );
+    if (!change) {
+      console.error('Unable to toggle variable for arg', arg);
+      return;
+    }
+    this.props.modifyFields(
+      selection.fields.map(field =>
+        field === argSelection ? {...field, value: change.value} : field,
+      ),
+      change.options,
     );
   };
 
@@ -444,64 +595,59 @@ class InputArgView extends React.PureComponent<InputArgViewProps, {}> {
 
     return (
       <AbstractArgView
+        errors={NO_VALIDATION_ERRORS}
+        quickFixes={NO_QUICK_FIXES}
         argValue={argSelection ? argSelection.value : null}
         arg={arg}
         parentField={parentField}
         addArg={this._addArg}
         removeArg={this._removeArg}
         setArgFields={this._modifyChildFields}
+        setArgListValues={this._setArgListValues}
         setArgValue={this._setArgValue}
+        setArgValueNode={this._setArgValueNode}
+        toggleVariable={
+          this.props.definition.kind === 'OperationDefinition'
+            ? this._toggleVariable
+            : null
+        }
         getDefaultScalarArgValue={this.props.getDefaultScalarArgValue}
+        scalarInputs={this.props.scalarInputs}
         makeDefaultArg={this.props.makeDefaultArg}
         onRunOperation={this.props.onRunOperation}
+        showTypes={this.props.showTypes}
+        onShowDoc={this.props.onShowDoc}
         styleConfig={this.props.styleConfig}
+        definition={this.props.definition}
+        variables={this.props.variables}
       />
     );
   }
 }
 
 type ArgViewProps = {|
-  parentField: Field,
+  // Null for directive arguments, see `defaultInputValue`
+  parentField: ?Field,
   arg: GraphQLArgument,
-  selection: FieldNode,
-  modifyArguments: (argumentNodes: $ReadOnlyArray<ArgumentNode>) => void,
+  selection: FieldNode | DirectiveNode,
+  modifyArguments: (
+    argumentNodes: $ReadOnlyArray<ArgumentNode>,
+    options?: ?ModifyOptions,
+  ) => void,
   getDefaultScalarArgValue: GetDefaultScalarArgValue,
+  scalarInputs: ScalarInputs,
   makeDefaultArg: ?MakeDefaultArg,
   onRunOperation: void => void,
+  showTypes: boolean,
+  onShowDoc: ?OnShowDoc,
   styleConfig: StyleConfig,
+  definition: FragmentDefinitionNode | OperationDefinitionNode,
+  variables: Variables,
+  validation: Validation,
 |};
 
 type ArgViewState = {||};
 
-export function defaultValue(
-  argType: GraphQLEnumType | GraphQLScalarType,
-): ValueNode {
-  if (isEnumType(argType)) {
-    return {kind: 'EnumValue', value: argType.getValues()[0].name};
-  } else {
-    switch (argType.name) {
-      case 'String':
-        return {kind: 'StringValue', value: ''};
-      case 'Float':
-        return {kind: 'FloatValue', value: '1.5'};
-      case 'Int':
-        return {kind: 'IntValue', value: '10'};
-      case 'Boolean':
-        return {kind: 'BooleanValue', value: false};
-      default:
-        return {kind: 'StringValue', value: ''};
-    }
-  }
-}
-
-function defaultGetDefaultScalarArgValue(
-  parentField: Field,
-  arg: GraphQLArgument | GraphQLInputField,
-  argType: GraphQLEnumType | GraphQLScalarType,
-): ValueNode {
-  return defaultValue(argType);
-}
-
 class ArgView extends React.PureComponent<ArgViewProps, ArgViewState> {
   _previousArgSelection: ?ArgumentNode;
   _getArgSelection = () => {
@@ -516,7 +662,7 @@ class ArgView extends React.PureComponent<ArgViewProps, ArgViewState> {
     const argSelection = this._getArgSelection();
     this._previousArgSelection = argSelection;
     this.props.modifyArguments(
-      (selection.arguments || []).filter(arg => arg !== argSelection),
+      replaceArgument(selection.arguments || [], this.props.arg.name, null),
     );
   };
   _addArg = () => {
@@ -532,66 +678,78 @@ class ArgView extends React.PureComponent<ArgViewProps, ArgViewState> {
     let argSelection = null;
     if (this._previousArgSelection) {
       argSelection = this._previousArgSelection;
-    } else if (isInputObjectType(argType)) {
-      const fields = argType.getFields();
-      argSelection = {
-        kind: 'Argument',
-        name: {kind: 'Name', value: arg.name},
-        value: {
-          kind: 'ObjectValue',
-          fields: defaultInputObjectFields(
-            getDefaultScalarArgValue,
-            makeDefaultArg,
-            parentField,
-            Object.keys(fields).map(k => fields[k]),
-          ),
-        },
-      };
-    } else if (isLeafType(argType)) {
-      argSelection = {
-        kind: 'Argument',
-        name: {kind: 'Name', value: arg.name},
-        value: getDefaultScalarArgValue(parentField, arg, argType),
-      };
+    } else {
+      const value = defaultInputValue(
+        getDefaultScalarArgValue,
+        makeDefaultArg,
+        parentField,
+        arg,
+        arg.type,
+      );
+      if (value) {
+        argSelection = {
+          kind: 'Argument',
+          name: {kind: 'Name', value: arg.name},
+          value,
+        };
+      }
     }
 
     if (!argSelection) {
       console.error('Unable to add arg for argType', argType);
     } else {
-      this.props.modifyArguments([
-        ...(selection.arguments || []),
-        argSelection,
-      ]);
+      this.props.modifyArguments(
+        replaceArgument(
+          selection.arguments || [],
+          arg.name,
+          argSelection.value,
+        ),
+      );
     }
   };
   _setArgValue = event => {
+    const argType = unwrapInputType(this.props.arg.type);
+    if (!isLeafType(argType)) {
+      console.warn('Unable to handle non leaf types in setArgValue');
+      return;
+    }
+    this._setArgValueNode(coerceArgValue(argType, event.target.value));
+  };
+
+  _setArgValueNode = (value: ValueNode) => {
     const {selection} = this.props;
     const argSelection = this._getArgSelection();
     if (!argSelection) {
       console.error('missing arg selection when setting arg value');
       return;
     }
-    const argType = unwrapInputType(this.props.arg.type);
-    if (!isLeafType(argType)) {
-      console.warn('Unable to handle non leaf types in setArgValue');
+
+    this.props.modifyArguments(
+      replaceArgument(selection.arguments || [], this.props.arg.name, value),
+    );
+  };
+
+  _setArgFields = (fields, options) => {
+    const {selection} = this.props;
+    const argSelection = this._getArgSelection();
+    if (!argSelection) {
+      console.error('missing arg selection when setting arg value');
       return;
     }
 
-    const targetValue = event.target.value;
-
     this.props.modifyArguments(
-      (selection.arguments || []).map(a =>
-        a === argSelection
-          ? {
-              ...a,
-              value: coerceArgValue(argType, targetValue),
-            }
-          : a,
-      ),
+      replaceArgument(selection.arguments || [], this.props.arg.name, {
+        kind: 'ObjectValue',
+        fields,
+      }),
+      options,
     );
   };
 
-  _setArgFields = fields => {
+  _setArgListValues = (
+    values: $ReadOnlyArray<ValueNode>,
+    options?: ?ModifyOptions,
+  ) => {
     const {selection} = this.props;
     const argSelection = this._getArgSelection();
     if (!argSelection) {
@@ -600,37 +758,111 @@ class ArgView extends React.PureComponent<ArgViewProps, ArgViewState> {
     }
 
     this.props.modifyArguments(
-      (selection.arguments || []).map(a =>
-        a === argSelection
-          ? {
-              ...a,
-              value: {
-                kind: 'ObjectValue',
-                fields,
-              },
-            }
-          : a,
-      ),
+      replaceArgument(selection.arguments || [], this.props.arg.name, {
+        kind: 'ListValue',
+        values,
+      }),
+      options,
+    );
+  };
+
+  _toggleVariable = () => {
+    const {
+      selection,
+      definition,
+      variables,
+      arg,
+      parentField,
+      getDefaultScalarArgValue,
+      makeDefaultArg,
+    } = this.props;
+    const argSelection = this._getArgSelection();
+    if (!argSelection || definition.kind !== 'OperationDefinition') {
+      return;
+    }
+    const change = toggleVariable(
+      definition,
+      variables,
+      arg,
+      argSelection.value,
+      () =>
+        defaultInputValue(
+          getDefaultScalarArgValue,
+          makeDefaultArg,
+          parentField,
+          arg,
+          arg.type,
+        ),
+    );
+    if (!change) {
+      console.error('Unable to toggle variable for arg', arg);
+      return;
+    }
+    this.props.modifyArguments(
+      replaceArgument(selection.arguments || [], arg.name, change.value),
+      change.options,
+    );
+  };
+
+  _resetArgValue = () => {
+    const {
+      getDefaultScalarArgValue,
+      makeDefaultArg,
+      parentField,
+      arg,
+    } = this.props;
+    const value = defaultInputValue(
+      getDefaultScalarArgValue,
+      makeDefaultArg,
+      parentField,
+      arg,
+      arg.type,
     );
+    if (value) {
+      this._setArgValueNode(value);
+    }
   };
 
   render() {
     const {arg, parentField} = this.props;
     const argSelection = this._getArgSelection();
+    const errors = argSelection
+      ? errorsWithin(this.props.validation, argSelection)
+      : NO_VALIDATION_ERRORS;
 
     return (
       <AbstractArgView
+        errors={errors}
+        quickFixes={
+          errors.length &&
+          argSelection &&
+          argSelection.value.kind !== 'Variable'
+            ? [{label: 'Reset to default value', fix: this._resetArgValue}]
+            : NO_QUICK_FIXES
+        }
         argValue={argSelection ? argSelection.value : null}
         arg={arg}
         parentField={parentField}
         addArg={this._addArg}
         removeArg={this._removeArg}
         setArgFields={this._setArgFields}
+        setArgListValues={this._setArgListValues}
         setArgValue={this._setArgValue}
+        setArgValueNode={this._setArgValueNode}
+        toggleVariable={
+          this.props.definition.kind === 'OperationDefinition'
+            ? this._toggleVariable
+            : null
+        }
         getDefaultScalarArgValue={this.props.getDefaultScalarArgValue}
+        scalarInputs={this.props.scalarInputs}
         makeDefaultArg={this.props.makeDefaultArg}
         onRunOperation={this.props.onRunOperation}
+        showTypes={this.props.showTypes}
+        onShowDoc={this.props.onShowDoc}
         styleConfig={this.props.styleConfig}
+        definition={this.props.definition}
+        variables={this.props.variables}
       />
     );
   }
@@ -640,25 +872,333 @@ function isRunShortcut(event) {
   return event.metaKey && event.key === 'Enter';
 }
 
-type AbstractArgViewProps = {|
-  argValue: ?ValueNode,
-  arg: GraphQLArgument,
-  parentField: Field,
-  setArgValue: (event: SyntheticInputEvent<*>) => void,
-  setArgFields: (fields: $ReadOnlyArray<ObjectFieldNode>) => void,
-  addArg: () => void,
-  removeArg: () => void,
-  getDefaultScalarArgValue: GetDefaultScalarArgValue,
-  makeDefaultArg: ?MakeDefaultArg,
-  onRunOperation: void => void,
-  styleConfig: StyleConfig,
+// Ctrl/Cmd+Z and Shift+Ctrl/Cmd+Z
+function historyShortcut(event): ?('undo' | 'redo') {
+  if (
+    !(event.ctrlKey || event.metaKey) ||
+    event.altKey ||
+    event.key.toLowerCase() !== 'z'
+  ) {
+    return null;
+  }
+  return event.shiftKey ? 'redo' : 'undo';
+}
+
+const HISTORY_LIMIT = 100;
+
+type TreeRow = {|
+  // null when the row has nothing to expand
+  isExpanded: ?boolean,
+  isActive: boolean,
+  toggle: (event: {altKey: boolean, shiftKey: boolean}) => void,
 |};
 
-type ScalarInputProps = {|
-  arg: GraphQLArgument,
-  argValue: ValueNode,
-  setArgValue: (event: SyntheticInputEvent<*>) => void,
-  onRunOperation: void => void,
+// Keyboard actions on a single explorer row. Moving focus between rows is
+// handled by the tree in `Explorer`.
+function handleRowKeyDown(
+  event: SyntheticKeyboardEvent<HTMLElement>,
+  row: TreeRow,
+) {
+  if (event.target !== event.currentTarget) {
+    return;
+  }
+  const rowElement = event.currentTarget;
+  if (event.key === ' ' || event.key === 'Spacebar') {
+    event.preventDefault();
+    row.toggle(event);
+  } else if (event.key === 'ArrowRight' && row.isExpanded === false) {
+    event.preventDefault();
+    row.toggle(event);
+  } else if (event.key === 'ArrowLeft' && row.isExpanded === true) {
+    event.preventDefault();
+    row.toggle(event);
+  } else if (event.key === 'Enter' && !isRunShortcut(event)) {
+    event.preventDefault();
+    if (!row.isActive) {
+      row.toggle(event);
+    }
+    // Wait for the input to render if the row was just activated
+    setTimeout(() => {
+      const input = rowElement.querySelector('input, select');
+      if (input) {
+        input.focus();
+      }
+    }, 0);
+  }
+}
+
+function treeItemProps(row: TreeRow, label: string) {
+  return {
+    role: 'treeitem',
+    tabIndex: -1,
+    'aria-label': label,
+    'aria-expanded': row.isExpanded == null ? undefined : row.isExpanded,
+    'aria-checked': row.isExpanded == null ? row.isActive : undefined,
+    onKeyDown: (event: SyntheticKeyboardEvent<HTMLElement>) =>
+      handleRowKeyDown(event, row),
+  };
+}
+
+// Markdown that descriptions commonly use inline: `code`, **strong**,
+// *emphasis* and [links](https://example.com)
+const INLINE_MARKDOWN = /`([^`]+)`|\*\*([^*]+)\*\*|\*([^*]+)\*|_([^_]+)_|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+function renderInlineMarkdown(text: string): Array<React.Node> {
+  const nodes = [];
+  let position = 0;
+  let match;
+  INLINE_MARKDOWN.lastIndex = 0;
+  while ((match = INLINE_MARKDOWN.exec(text))) {
+    nodes.push(text.slice(position, match.index));
+    const [, code, strong, emphasis, underscored, linkText, href] = match;
+    const key = match.index;
+    if (code != null) {
+      nodes.push(<code key={key}>{code}</code>);
+    } else if (strong != null) {
+      nodes.push(<strong key={key}>{strong}</strong>);
+    } else if (emphasis != null || underscored != null) {
+      nodes.push(<em key={key}>{emphasis || underscored}</em>);
+    } else if (/^https?:\/\//.test(href)) {
+      nodes.push(
+        <a key={key} href={href} target="_blank" rel="noopener noreferrer">
+          {linkText}
+        </a>,
+      );
+    } else {
+      // Anything but a web link, e.g. `javascript:`, is left as text
+      nodes.push(linkText);
+    }
+    position = INLINE_MARKDOWN.lastIndex;
+  }
+  nodes.push(text.slice(position));
+  return nodes;
+}
+
+function Markdown({text}: {text: string}) {
+  return (
+    <div className="graphiql-explorer-doc-description">
+      {text
+        .split(/\n\s*\n/)
+        .filter(paragraph => paragraph.trim())
+        .map((paragraph, index) => (
+          <p key={index}>{renderInlineMarkdown(paragraph.trim())}</p>
+        ))}
+    </div>
+  );
+}
+
+type DocItem = Field | GraphQLArgument | GraphQLInputField;
+
+// The schema's default value for an argument or input field, as GraphQL
+function schemaDefault(item: GraphQLArgument | GraphQLInputField): ?string {
+  if (item.defaultValue === undefined) {
+    return null;
+  }
+  try {
+    const valueNode = astFromValue(item.defaultValue, item.type);
+    return valueNode ? print(valueNode) : null;
+  } catch (e) {
+    // A default that doesn't fit the type is the schema's mistake, and
+    // isn't worth breaking the explorer over
+    return null;
+  }
+}
+
+function printDefaultValue(item: GraphQLArgument | GraphQLInputField): string {
+  const defaultValue = schemaDefault(item);
+  return defaultValue != null ? ` = ${defaultValue}` : '';
+}
+
+// Fields are the only items with arguments
+function docField(item: DocItem): ?Field {
+  return Array.isArray((item: any).args) ? (item: any) : null;
+}
+
+// e.g. `users(first: Int = 10): [User!]!`, or `first: Int = 10`
+function docSignature(item: DocItem): string {
+  const field = docField(item);
+  if (field) {
+    const args = field.args.map(
+      arg => `${arg.name}: ${String(arg.type)}${printDefaultValue(arg)}`,
+    );
+    return `${field.name}${args.length ? `(${args.join(', ')})` : ''}: ${String(
+      field.type,
+    )}`;
+  }
+  return `${item.name}: ${String(item.type)}${printDefaultValue((item: any))}`;
+}
+
+function docDeprecationReason(item: DocItem): ?string {
+  const field = docField(item);
+  if (field) {
+    return field.isDeprecated ? field.deprecationReason || 'Deprecated' : null;
+  }
+  return argDeprecationReason((item: any));
+}
+
+function DocPopover(props: {item: DocItem, onShowDoc: ?OnShowDoc}) {
+  const {item, onShowDoc} = props;
+  const deprecationReason = docDeprecationReason(item);
+  return (
+    <div
+      className="graphiql-explorer-doc-popover"
+      role="tooltip"
+      data-doc-popover
+      onClick={event => event.stopPropagation()}>
+      <div className="graphiql-explorer-doc-signature">
+        {docSignature(item)}
+      </div>
+      {item.description ? <Markdown text={item.description} /> : null}
+      {deprecationReason != null ? (
+        <div className="graphiql-explorer-doc-deprecation">
+          {'Deprecated: '}
+          {renderInlineMarkdown(deprecationReason)}
+        </div>
+      ) : null}
+      {onShowDoc ? (
+        <button
+          type="button"
+          className="graphiql-explorer-doc-link"
+          data-show-doc
+          onClick={() =>
+            // Arguments and input fields aren't in the doc explorer on their
+            // own, so show their type
+            onShowDoc(docField(item) || getNamedType(item.type))
+          }>
+          Open in docs
+        </button>
+      ) : null}
+    </div>
+  );
+}
+
+// Shows the documentation for `item` while its label is hovered, or while its
+// tree row has focus
+class DocTrigger extends React.PureComponent<
+  {
+    item: DocItem,
+    // Show the type next to the label
+    showTypes: boolean,
+    onShowDoc: ?OnShowDoc,
+    children: React.Node,
+  },
+  {isHovered: boolean, isFocused: boolean},
+> {
+  state = {isHovered: false, isFocused: false};
+  _ref: ?HTMLElement;
+  _row: ?HTMLElement;
+
+  componentDidMount() {
+    let row = this._ref && this._ref.parentElement;
+    while (row && row.getAttribute('role') !== 'treeitem') {
+      row = row.parentElement;
+    }
+    if (row instanceof HTMLElement) {
+      this._row = row;
+      row.addEventListener('focus', this._onFocus);
+      row.addEventListener('blur', this._onBlur);
+    }
+  }
+
+  componentWillUnmount() {
+    const row = this._row;
+    if (row) {
+      row.removeEventListener('focus', this._onFocus);
+      row.removeEventListener('blur', this._onBlur);
+    }
+  }
+
+  _onFocus = () => this.setState({isFocused: true});
+  _onBlur = () => this.setState({isFocused: false});
+  _onMouseEnter = () => this.setState({isHovered: true});
+  _onMouseLeave = () => this.setState({isHovered: false});
+
+  render() {
+    const {item, onShowDoc} = this.props;
+    return (
+      <span
+        className="graphiql-explorer-doc-trigger"
+        ref={ref => {
+          this._ref = ref;
+        }}
+        onMouseEnter={this._onMouseEnter}
+        onMouseLeave={this._onMouseLeave}>
+        {this.props.children}
+        {this.props.showTypes ? (
+          <TypeAnnotation type={item.type} onShowDoc={onShowDoc} />
+        ) : null}
+        {this.state.isHovered || this.state.isFocused ? (
+          <DocPopover item={item} onShowDoc={onShowDoc} />
+        ) : null}
+      </span>
+    );
+  }
+}
+
+// The type, with its list and non-null wrappers, e.g. `[User!]!`
+function TypeAnnotation(props: {
+  type: GraphQLInputType | GraphQLOutputType,
+  onShowDoc: ?OnShowDoc,
+}) {
+  const {onShowDoc} = props;
+  const namedType = getNamedType(props.type);
+  return (
+    <span
+      className={
+        onShowDoc
+          ? 'graphiql-explorer-type graphiql-explorer-atom graphiql-explorer-action'
+          : 'graphiql-explorer-type graphiql-explorer-atom'
+      }
+      data-type-annotation
+      onClick={
+        onShowDoc
+          ? event => {
+              event.stopPropagation();
+              onShowDoc(namedType);
+            }
+          : undefined
+      }>
+      {String(props.type)}
+    </span>
+  );
+}
+
+type AbstractArgViewProps = {|
+  argValue: ?ValueNode,
+  arg: GraphQLArgument,
+  parentField: ?Field,
+  setArgValue: (event: SyntheticInputEvent<*>) => void,
+  setArgValueNode: (value: ValueNode) => void,
+  setArgFields: (
+    fields: $ReadOnlyArray<ObjectFieldNode>,
+    options?: ?ModifyOptions,
+  ) => void,
+  setArgListValues: (
+    values: $ReadOnlyArray<ValueNode>,
+    options?: ?ModifyOptions,
+  ) => void,
+  addArg: () => void,
+  removeArg: () => void,
+  toggleVariable: ?() => void,
+  getDefaultScalarArgValue: GetDefaultScalarArgValue,
+  scalarInputs: ScalarInputs,
+  makeDefaultArg: ?MakeDefaultArg,
+  onRunOperation: void => void,
+  showTypes: boolean,
+  onShowDoc: ?OnShowDoc,
+  styleConfig: StyleConfig,
+  definition: FragmentDefinitionNode | OperationDefinitionNode,
+  variables: Variables,
+  // Validation errors in the argument's value, and ways to fix them
+  errors: $ReadOnlyArray<GraphQLError>,
+  quickFixes: $ReadOnlyArray<QuickFix>,
+|};
+
+type ScalarInputProps = {|
+  arg: GraphQLArgument,
+  argValue: ValueNode,
+  setArgValue: (event: SyntheticInputEvent<*>) => void,
+  onRunOperation: void => void,
   styleConfig: StyleConfig,
 |};
 
@@ -682,24 +1222,20 @@ class ScalarInput extends React.PureComponent<ScalarInputProps, {}> {
   }
 
   render() {
-    const {arg, argValue, styleConfig} = this.props;
+    const {arg, argValue} = this.props;
     const argType = unwrapInputType(arg.type);
     const value = typeof argValue.value === 'string' ? argValue.value : '';
-    const color =
-      this.props.argValue.kind === 'StringValue'
-        ? styleConfig.colors.string
-        : styleConfig.colors.number;
     return (
-      <span style={{color}}>
+      <span
+        className={
+          argValue.kind === 'StringValue'
+            ? 'graphiql-explorer-string'
+            : 'graphiql-explorer-number'
+        }>
         {argType.name === 'String' ? '"' : ''}
         <input
-          style={{
-            border: 'none',
-            borderBottom: '1px solid #888',
-            outline: 'none',
-            width: `${Math.max(1, value.length)}ch`,
-            color,
-          }}
+          className="graphiql-explorer-input"
+          style={{width: `${Math.max(1, value.length)}ch`}}
           ref={ref => {
             this._ref = ref;
           }}
@@ -711,6 +1247,7 @@ class ScalarInput extends React.PureComponent<ScalarInputProps, {}> {
           }}
           onChange={this._handleChange}
           value={value}
+          placeholder={schemaDefault(arg) || undefined}
         />
         {argType.name === 'String' ? '"' : ''}
       </span>
@@ -718,925 +1255,4490 @@ class ScalarInput extends React.PureComponent<ScalarInputProps, {}> {
   }
 }
 
-class AbstractArgView extends React.PureComponent<AbstractArgViewProps, {}> {
-  render() {
-    const {argValue, arg, styleConfig} = this.props;
-    /* TODO: handle List types*/
-    const argType = unwrapInputType(arg.type);
+function enumValueMatches(value: GraphQLEnumValue, term: string): boolean {
+  const lowerTerm = term.toLowerCase();
+  return (
+    value.name.toLowerCase().indexOf(lowerTerm) !== -1 ||
+    (!!value.description &&
+      value.description.toLowerCase().indexOf(lowerTerm) !== -1)
+  );
+}
 
-    let input = null;
-    if (argValue) {
-      if (argValue.kind === 'Variable') {
-        input = (
-          <span style={{color: styleConfig.colors.variable}}>
-            ${argValue.name.value}
-          </span>
-        );
-      } else if (isScalarType(argType)) {
-        if (argType.name === 'Boolean') {
-          input = (
-            <select
-              style={{
-                color: styleConfig.colors.builtin,
-              }}
-              onChange={this.props.setArgValue}
-              value={
-                argValue.kind === 'BooleanValue' ? argValue.value : undefined
-              }>
-              <option key="true" value="true">
-                true
-              </option>
-              <option key="false" value="false">
-                false
-              </option>
-            </select>
-          );
-        } else {
-          input = (
-            <ScalarInput
-              setArgValue={this.props.setArgValue}
-              arg={arg}
-              argValue={argValue}
-              onRunOperation={this.props.onRunOperation}
-              styleConfig={this.props.styleConfig}
-            />
-          );
-        }
-      } else if (isEnumType(argType)) {
-        if (argValue.kind === 'EnumValue') {
-          input = (
-            <select
-              style={{
-                backgroundColor: 'white',
-                color: styleConfig.colors.string2,
-              }}
-              onChange={this.props.setArgValue}
-              value={argValue.value}>
-              {argType.getValues().map(value => (
-                <option key={value.name} value={value.name}>
-                  {value.name}
-                </option>
-              ))}
-            </select>
-          );
-        } else {
-          console.error(
-            'arg mismatch between arg and selection',
-            argType,
-            argValue,
-          );
-        }
-      } else if (isInputObjectType(argType)) {
-        if (argValue.kind === 'ObjectValue') {
-          const fields = argType.getFields();
-          input = (
-            <div style={{marginLeft: 16}}>
-              {Object.keys(fields)
-                .sort()
-                .map(fieldName => (
-                  <InputArgView
-                    key={fieldName}
-                    arg={fields[fieldName]}
-                    parentField={this.props.parentField}
-                    selection={argValue}
-                    modifyFields={this.props.setArgFields}
-                    getDefaultScalarArgValue={
-                      this.props.getDefaultScalarArgValue
-                    }
-                    makeDefaultArg={this.props.makeDefaultArg}
-                    onRunOperation={this.props.onRunOperation}
-                    styleConfig={this.props.styleConfig}
-                  />
-                ))}
-            </div>
-          );
-        } else {
-          console.error(
-            'arg mismatch between arg and selection',
-            argType,
-            argValue,
-          );
+type EnumInputProps = {|
+  enumType: GraphQLEnumType,
+  value: string,
+  setArgValueNode: (value: ValueNode) => void,
+  onRunOperation: void => void,
+  styleConfig: StyleConfig,
+|};
+
+type EnumInputState = {|
+  // What the user typed to filter the values, null while the list is closed
+  draft: ?string,
+  highlightedIndex: number,
+|};
+
+// A type-ahead combobox, so enums with hundreds of values stay usable
+class EnumInput extends React.PureComponent<EnumInputProps, EnumInputState> {
+  state = {draft: null, highlightedIndex: 0};
+  _listRef: ?HTMLDivElement;
+
+  componentDidUpdate(prevProps: EnumInputProps, prevState: EnumInputState) {
+    const list = this._listRef;
+    if (list && prevState.highlightedIndex !== this.state.highlightedIndex) {
+      const option = list.querySelector(
+        '.graphiql-explorer-combobox-highlighted',
+      );
+      // Keep the highlighted option in view while moving with the arrow keys
+      if (option instanceof HTMLElement) {
+        if (option.offsetTop < list.scrollTop) {
+          list.scrollTop = option.offsetTop;
+        } else if (
+          option.offsetTop + option.offsetHeight >
+          list.scrollTop + list.clientHeight
+        ) {
+          list.scrollTop =
+            option.offsetTop + option.offsetHeight - list.clientHeight;
         }
       }
     }
+  }
+
+  _getMatches = (): Array<GraphQLEnumValue> => {
+    const {draft} = this.state;
+    const values = this.props.enumType.getValues();
+    return draft
+      ? values.filter(value => enumValueMatches(value, draft))
+      : values;
+  };
+
+  _open = () => {
+    if (this.state.draft == null) {
+      const index = this.props.enumType
+        .getValues()
+        .findIndex(value => value.name === this.props.value);
+      this.setState({draft: '', highlightedIndex: Math.max(0, index)});
+    }
+  };
+
+  _close = () => {
+    this.setState({draft: null, highlightedIndex: 0});
+  };
+
+  _select = (name: string) => {
+    this.props.setArgValueNode({kind: 'EnumValue', value: name});
+    this._close();
+  };
+
+  _onChange = event => {
+    const draft = event.target.value;
+    const matches = this.props.enumType
+      .getValues()
+      .filter(value => enumValueMatches(value, draft));
+    const exactIndex = matches.findIndex(
+      value => value.name.toLowerCase() === draft.toLowerCase(),
+    );
+    this.setState({draft, highlightedIndex: Math.max(0, exactIndex)});
+  };
+
+  _onKeyDown = (event: SyntheticKeyboardEvent<HTMLInputElement>) => {
+    if (isRunShortcut(event)) {
+      this.props.onRunOperation();
+      return;
+    }
+    const isOpen = this.state.draft != null;
+    const matches = this._getMatches();
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      if (!isOpen) {
+        this._open();
+      } else if (matches.length) {
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        this.setState({
+          highlightedIndex:
+            (this.state.highlightedIndex + step + matches.length) %
+            matches.length,
+        });
+      }
+    } else if (event.key === 'Enter' && isOpen) {
+      event.preventDefault();
+      const match = matches[this.state.highlightedIndex];
+      if (match) {
+        this._select(match.name);
+      }
+    } else if (event.key === 'Escape' && isOpen) {
+      // Keep focus in the input instead of moving it back to the row
+      event.preventDefault();
+      this._close();
+    }
+  };
 
+  render() {
+    const {value} = this.props;
+    const {draft, highlightedIndex} = this.state;
+    const isOpen = draft != null;
+    const matches = isOpen ? this._getMatches() : [];
+    const text = draft != null ? draft : value;
     return (
-      <div
-        style={{
-          cursor: 'pointer',
-          minHeight: '16px',
-          WebkitUserSelect: 'none',
-          userSelect: 'none',
-        }}
-        data-arg-name={arg.name}
-        data-arg-type={argType.name}>
-        <span
-          style={{cursor: 'pointer'}}
-          onClick={argValue ? this.props.removeArg : this.props.addArg}>
-          {isInputObjectType(argType) ? (
-            <span>
-              {!!argValue
-                ? this.props.styleConfig.arrowOpen
-                : this.props.styleConfig.arrowClosed}
-            </span>
-          ) : (
-            <Checkbox
-              checked={!!argValue}
-              styleConfig={this.props.styleConfig}
-            />
-          )}
-          <span
-            style={{color: styleConfig.colors.attribute}}
-            title={arg.description}>
-            {arg.name}
-            {isRequiredArgument(arg) ? '*' : ''}:
-          </span>
-        </span>{' '}
-        {input || <span />}
-      </div>
+      <span className="graphiql-explorer-combobox">
+        <input
+          className="graphiql-explorer-input graphiql-explorer-string2"
+          style={{width: `${Math.max(4, text.length, value.length)}ch`}}
+          type="text"
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={isOpen}
+          autoComplete="off"
+          placeholder={value}
+          value={text}
+          data-enum-input
+          onFocus={this._open}
+          onClick={this._open}
+          onBlur={this._close}
+          onChange={this._onChange}
+          onKeyDown={this._onKeyDown}
+        />
+        {isOpen ? (
+          <div
+            role="listbox"
+            className="graphiql-explorer-combobox-list"
+            ref={ref => {
+              this._listRef = ref;
+            }}>
+            {matches.length === 0 ? (
+              <div className="graphiql-explorer-search-empty">
+                No matching values
+              </div>
+            ) : null}
+            {matches.map((enumValue, index) => (
+              <div
+                key={enumValue.name}
+                role="option"
+                aria-selected={enumValue.name === value}
+                className={
+                  index === highlightedIndex
+                    ? 'graphiql-explorer-combobox-option graphiql-explorer-combobox-highlighted'
+                    : 'graphiql-explorer-combobox-option'
+                }
+                data-enum-value={enumValue.name}
+                // Select before the input blurs and closes the list
+                onMouseDown={event => {
+                  event.preventDefault();
+                  this._select(enumValue.name);
+                }}>
+                <span
+                  className={
+                    enumValue.isDeprecated
+                      ? 'graphiql-explorer-string2 graphiql-explorer-unknown-label'
+                      : 'graphiql-explorer-string2'
+                  }>
+                  {enumValue.name}
+                </span>
+                {enumValue.isDeprecated ? (
+                  <DeprecationNote reason={enumValue.deprecationReason} />
+                ) : null}
+                {enumValue.description ? (
+                  <div className="graphiql-explorer-combobox-description">
+                    {renderInlineMarkdown(enumValue.description)}
+                  </div>
+                ) : null}
+              </div>
+            ))}
+          </div>
+        ) : null}
+      </span>
     );
   }
 }
 
-type AbstractViewProps = {|
-  implementingType: GraphQLObjectType,
-  selections: Selections,
-  modifySelections: (selections: Selections) => void,
-  schema: GraphQLSchema,
-  getDefaultFieldNames: (type: GraphQLObjectType) => Array<string>,
-  getDefaultScalarArgValue: GetDefaultScalarArgValue,
-  makeDefaultArg: ?MakeDefaultArg,
+export type ScalarWidgetProps = {|
+  arg: GraphQLArgument,
+  scalarType: GraphQLScalarType,
+  value: ValueNode,
+  // Takes the widget's own value, which `coerce` turns into a GraphQL value
+  onChange: (value: any) => void,
   onRunOperation: void => void,
   styleConfig: StyleConfig,
 |};
 
-class AbstractView extends React.PureComponent<AbstractViewProps, {}> {
-  _previousSelection: ?InlineFragmentNode;
-  _addFragment = () => {
-    this.props.modifySelections([
-      ...this.props.selections,
-      this._previousSelection || {
-        kind: 'InlineFragment',
-        typeCondition: {
-          kind: 'NamedType',
-          name: {kind: 'Name', value: this.props.implementingType.name},
-        },
-        selectionSet: {
-          kind: 'SelectionSet',
-          selections: this.props
-            .getDefaultFieldNames(this.props.implementingType)
-            .map(fieldName => ({
-              kind: 'Field',
-              name: {kind: 'Name', value: fieldName},
-            })),
-        },
-      },
-    ]);
-  };
-  _removeFragment = () => {
-    const thisSelection = this._getSelection();
-    this._previousSelection = thisSelection;
-    this.props.modifySelections(
-      this.props.selections.filter(s => s !== thisSelection),
+export type ScalarInputConfig = {|
+  component: React.ComponentType<ScalarWidgetProps>,
+  coerce: (value: any, scalarType: GraphQLScalarType) => ValueNode,
+|};
+
+// `datetime-local` inputs have no time zone, so show the value in local time
+function toLocalDateTime(value: string): string {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return '';
+  }
+  const offset = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+}
+
+function dateScalarInput(
+  inputType: 'date' | 'time' | 'datetime-local',
+): ScalarInputConfig {
+  const isDateTime = inputType === 'datetime-local';
+  function DateInput(props: ScalarWidgetProps) {
+    const value = props.value.kind === 'StringValue' ? props.value.value : '';
+    return (
+      <span className="graphiql-explorer-string">
+        <input
+          className="graphiql-explorer-input"
+          type={inputType}
+          value={isDateTime ? toLocalDateTime(value) : value}
+          onKeyDown={event => {
+            if (isRunShortcut(event)) {
+              props.onRunOperation();
+            }
+          }}
+          onChange={event => props.onChange(event.target.value)}
+        />
+      </span>
     );
+  }
+  return {
+    component: DateInput,
+    coerce: value => ({
+      kind: 'StringValue',
+      value: isDateTime && value ? new Date(value).toISOString() : value,
+    }),
   };
-  _getSelection = (): ?InlineFragmentNode => {
-    const selection = this.props.selections.find(
-      selection =>
-        selection.kind === 'InlineFragment' &&
-        selection.typeCondition &&
-        this.props.implementingType.name === selection.typeCondition.name.value,
+}
+
+// GraphQL names, like aliases and object keys, are letters, digits and
+// underscores, and don't start with a digit
+const NAME_PATTERN = /^[_A-Za-z][_0-9A-Za-z]*$/;
+
+// Whether every object key in the JSON value can be written as a GraphQL name
+function hasNameKeys(value: mixed): boolean {
+  if (Array.isArray(value)) {
+    return value.every(hasNameKeys);
+  } else if (value && typeof value === 'object') {
+    const object = value;
+    return Object.keys(object).every(
+      key => NAME_PATTERN.test(key) && hasNameKeys(object[key]),
     );
-    if (!selection) {
-      return null;
-    }
-    if (selection.kind === 'InlineFragment') {
-      return selection;
+  }
+  return true;
+}
+
+function jsonToValueNode(value: mixed): ValueNode {
+  if (value === null || value === undefined) {
+    return {kind: 'NullValue'};
+  } else if (Array.isArray(value)) {
+    return {kind: 'ListValue', values: value.map(jsonToValueNode)};
+  } else if (typeof value === 'object') {
+    const object = value;
+    return {
+      kind: 'ObjectValue',
+      fields: Object.keys(object).map(key => ({
+        kind: 'ObjectField',
+        name: {kind: 'Name', value: key},
+        value: jsonToValueNode(object[key]),
+      })),
+    };
+  } else if (typeof value === 'number') {
+    return Number.isInteger(value)
+      ? {kind: 'IntValue', value: String(value)}
+      : {kind: 'FloatValue', value: String(value)};
+  } else if (typeof value === 'boolean') {
+    return {kind: 'BooleanValue', value};
+  } else {
+    return {kind: 'StringValue', value: String(value)};
+  }
+}
+
+class JSONInput extends React.PureComponent<
+  ScalarWidgetProps,
+  {draft: ?string},
+> {
+  // Keeps what the user typed while it isn't valid JSON, or has object keys
+  // that GraphQL can't write
+  state = {draft: null};
+
+  _isValid = (text: string): boolean => {
+    try {
+      return hasNameKeys(JSON.parse(text));
+    } catch (e) {
+      return false;
     }
   };
 
-  _modifyChildSelections = (selections: Selections) => {
-    const thisSelection = this._getSelection();
-    this.props.modifySelections(
-      this.props.selections.map(selection => {
-        if (selection === thisSelection) {
-          return {
-            directives: selection.directives,
-            kind: 'InlineFragment',
-            typeCondition: {
-              kind: 'NamedType',
-              name: {kind: 'Name', value: this.props.implementingType.name},
-            },
-            selectionSet: {
-              kind: 'SelectionSet',
-              selections,
-            },
-          };
-        }
-        return selection;
-      }),
-    );
+  _onChange = event => {
+    const draft = event.target.value;
+    this.setState({draft});
+    if (this._isValid(draft)) {
+      this.props.onChange(JSON.parse(draft));
+    }
+  };
+
+  _onBlur = () => {
+    if (this.state.draft != null && this._isValid(this.state.draft)) {
+      this.setState({draft: null});
+    }
   };
 
   render() {
-    const {
-      implementingType,
-      schema,
-      getDefaultFieldNames,
-      styleConfig,
-    } = this.props;
-    const selection = this._getSelection();
-    const fields = implementingType.getFields();
-    const childSelections = selection
-      ? selection.selectionSet
-        ? selection.selectionSet.selections
-        : []
-      : [];
+    const {draft} = this.state;
+    const text =
+      draft != null
+        ? draft
+        : JSON.stringify(valueFromASTUntyped(this.props.value)) || '';
+    const isValid = this._isValid(text);
     return (
-      <div>
-        <span
-          style={{cursor: 'pointer'}}
-          onClick={selection ? this._removeFragment : this._addFragment}>
-          <Checkbox
-            checked={!!selection}
-            styleConfig={this.props.styleConfig}
-          />
-          <span style={{color: styleConfig.colors.atom}}>
-            {this.props.implementingType.name}
-          </span>
-        </span>
-        {selection ? (
-          <div style={{marginLeft: 16}}>
-            {Object.keys(fields)
-              .sort()
-              .map(fieldName => (
-                <FieldView
-                  key={fieldName}
-                  field={fields[fieldName]}
-                  selections={childSelections}
-                  modifySelections={this._modifyChildSelections}
-                  schema={schema}
-                  getDefaultFieldNames={getDefaultFieldNames}
-                  getDefaultScalarArgValue={this.props.getDefaultScalarArgValue}
-                  makeDefaultArg={this.props.makeDefaultArg}
-                  onRunOperation={this.props.onRunOperation}
-                  styleConfig={this.props.styleConfig}
-                />
-              ))}
-          </div>
-        ) : null}
-      </div>
+      <input
+        className={
+          isValid
+            ? 'graphiql-explorer-input graphiql-explorer-string'
+            : 'graphiql-explorer-input graphiql-explorer-warning'
+        }
+        title={
+          isValid
+            ? undefined
+            : 'Expected JSON with object keys that are GraphQL names'
+        }
+        style={{width: `${Math.max(2, text.length)}ch`}}
+        type="text"
+        value={text}
+        onKeyDown={event => {
+          if (isRunShortcut(event)) {
+            this.props.onRunOperation();
+          }
+        }}
+        onChange={this._onChange}
+        onBlur={this._onBlur}
+      />
     );
   }
 }
 
-type FieldViewProps = {|
-  field: Field,
-  selections: Selections,
-  modifySelections: (selections: Selections) => void,
-  schema: GraphQLSchema,
-  getDefaultFieldNames: (type: GraphQLObjectType) => Array<string>,
+const defaultScalarInputs: ScalarInputs = {
+  DateTime: dateScalarInput('datetime-local'),
+  Date: dateScalarInput('date'),
+  Time: dateScalarInput('time'),
+  // Written out as GraphQL object and list literals
+  JSON: {component: JSONInput, coerce: jsonToValueNode},
+};
+
+type ArgInputProps = {|
+  arg: GraphQLArgument,
+  argType: GraphQLInputType,
+  argValue: ValueNode,
+  parentField: ?Field,
+  setArgValue: (event: SyntheticInputEvent<*>) => void,
+  setArgValueNode: (value: ValueNode) => void,
+  setArgFields: (
+    fields: $ReadOnlyArray<ObjectFieldNode>,
+    options?: ?ModifyOptions,
+  ) => void,
+  setArgListValues: (
+    values: $ReadOnlyArray<ValueNode>,
+    options?: ?ModifyOptions,
+  ) => void,
   getDefaultScalarArgValue: GetDefaultScalarArgValue,
+  scalarInputs: ScalarInputs,
   makeDefaultArg: ?MakeDefaultArg,
   onRunOperation: void => void,
+  showTypes: boolean,
+  onShowDoc: ?OnShowDoc,
   styleConfig: StyleConfig,
+  definition: FragmentDefinitionNode | OperationDefinitionNode,
+  variables: Variables,
 |};
 
-function defaultInputObjectFields(
-  getDefaultScalarArgValue: GetDefaultScalarArgValue,
-  makeDefaultArg: ?MakeDefaultArg,
-  parentField: Field,
-  fields: Array<GraphQLInputField>,
-): Array<ObjectFieldNode> {
-  const nodes = [];
-  for (const field of fields) {
-    if (
-      isRequiredInputField(field) ||
-      (makeDefaultArg && makeDefaultArg(parentField, field))
-    ) {
-      const fieldType = unwrapInputType(field.type);
-      if (isInputObjectType(fieldType)) {
-        const fields = fieldType.getFields();
-        nodes.push({
-          kind: 'ObjectField',
-          name: {kind: 'Name', value: field.name},
-          value: {
-            kind: 'ObjectValue',
-            fields: defaultInputObjectFields(
-              getDefaultScalarArgValue,
-              makeDefaultArg,
-              parentField,
-              Object.keys(fields).map(k => fields[k]),
-            ),
-          },
-        });
-      } else if (isLeafType(fieldType)) {
-        nodes.push({
-          kind: 'ObjectField',
-          name: {kind: 'Name', value: field.name},
-          value: getDefaultScalarArgValue(parentField, field, fieldType),
-        });
-      }
+function ArgInput(props: ArgInputProps) {
+  const {argValue, arg, styleConfig} = props;
+  const argType = getNullableType(props.argType);
+
+  if (argValue.kind === 'Variable') {
+    return (
+      <span className="graphiql-explorer-variable">${argValue.name.value}</span>
+    );
+  } else if (argValue.kind === 'NullValue') {
+    return (
+      <span className="graphiql-explorer-builtin" data-null-value>
+        null
+      </span>
+    );
+  } else if (isListType(argType)) {
+    return (
+      <ListArgInput
+        arg={arg}
+        itemType={argType.ofType}
+        // GraphQL input coercion accepts a single item in place of a list
+        values={argValue.kind === 'ListValue' ? argValue.values : [argValue]}
+        parentField={props.parentField}
+        setListValues={props.setArgListValues}
+        getDefaultScalarArgValue={props.getDefaultScalarArgValue}
+        scalarInputs={props.scalarInputs}
+        makeDefaultArg={props.makeDefaultArg}
+        onRunOperation={props.onRunOperation}
+        showTypes={props.showTypes}
+        onShowDoc={props.onShowDoc}
+        styleConfig={styleConfig}
+        definition={props.definition}
+        variables={props.variables}
+      />
+    );
+  } else if (isScalarType(argType)) {
+    const scalarInput = props.scalarInputs[argType.name];
+    if (scalarInput) {
+      const CustomInput = scalarInput.component;
+      const scalarType = argType;
+      return (
+        <CustomInput
+          arg={arg}
+          scalarType={scalarType}
+          value={argValue}
+          onChange={value =>
+            props.setArgValueNode(scalarInput.coerce(value, scalarType))
+          }
+          onRunOperation={props.onRunOperation}
+          styleConfig={styleConfig}
+        />
+      );
+    } else if (argType.name === 'Boolean') {
+      return (
+        <select
+          className="graphiql-explorer-select graphiql-explorer-builtin"
+          onChange={props.setArgValue}
+          value={argValue.kind === 'BooleanValue' ? argValue.value : undefined}>
+          <option key="true" value="true">
+            true
+          </option>
+          <option key="false" value="false">
+            false
+          </option>
+        </select>
+      );
+    } else {
+      return (
+        <ScalarInput
+          setArgValue={props.setArgValue}
+          arg={arg}
+          argValue={argValue}
+          onRunOperation={props.onRunOperation}
+          styleConfig={styleConfig}
+        />
+      );
+    }
+  } else if (isEnumType(argType)) {
+    if (argValue.kind === 'EnumValue') {
+      return (
+        <EnumInput
+          enumType={argType}
+          value={argValue.value}
+          setArgValueNode={props.setArgValueNode}
+          onRunOperation={props.onRunOperation}
+          styleConfig={styleConfig}
+        />
+      );
+    } else {
+      console.error(
+        'arg mismatch between arg and selection',
+        argType,
+        argValue,
+      );
+    }
+  } else if (isInputObjectType(argType)) {
+    if (argValue.kind === 'ObjectValue') {
+      const fields = argType.getFields();
+      return (
+        <div role="group" className="graphiql-explorer-children">
+          {Object.keys(fields)
+            .sort()
+            .map(fieldName => (
+              <InputArgView
+                key={fieldName}
+                arg={fields[fieldName]}
+                parentField={props.parentField}
+                selection={argValue}
+                modifyFields={props.setArgFields}
+                getDefaultScalarArgValue={props.getDefaultScalarArgValue}
+                scalarInputs={props.scalarInputs}
+                makeDefaultArg={props.makeDefaultArg}
+                onRunOperation={props.onRunOperation}
+                showTypes={props.showTypes}
+                onShowDoc={props.onShowDoc}
+                styleConfig={styleConfig}
+                definition={props.definition}
+                variables={props.variables}
+              />
+            ))}
+        </div>
+      );
+    } else {
+      console.error(
+        'arg mismatch between arg and selection',
+        argType,
+        argValue,
+      );
     }
   }
-  return nodes;
+  return null;
 }
 
-function defaultArgs(
+type ListArgInputProps = {|
+  arg: GraphQLArgument,
+  itemType: GraphQLInputType,
+  values: $ReadOnlyArray<ValueNode>,
+  parentField: ?Field,
+  setListValues: (
+    values: $ReadOnlyArray<ValueNode>,
+    options?: ?ModifyOptions,
+  ) => void,
   getDefaultScalarArgValue: GetDefaultScalarArgValue,
+  scalarInputs: ScalarInputs,
   makeDefaultArg: ?MakeDefaultArg,
-  field: Field,
-): Array<ArgumentNode> {
-  const args = [];
-  for (const arg of field.args) {
-    if (
-      isRequiredArgument(arg) ||
-      (makeDefaultArg && makeDefaultArg(field, arg))
-    ) {
-      const argType = unwrapInputType(arg.type);
-      if (isInputObjectType(argType)) {
-        const fields = argType.getFields();
-        args.push({
-          kind: 'Argument',
-          name: {kind: 'Name', value: arg.name},
-          value: {
-            kind: 'ObjectValue',
-            fields: defaultInputObjectFields(
-              getDefaultScalarArgValue,
-              makeDefaultArg,
-              field,
-              Object.keys(fields).map(k => fields[k]),
-            ),
-          },
-        });
-      } else if (isLeafType(argType)) {
-        args.push({
-          kind: 'Argument',
-          name: {kind: 'Name', value: arg.name},
-          value: getDefaultScalarArgValue(field, arg, argType),
-        });
-      }
+  onRunOperation: void => void,
+  showTypes: boolean,
+  onShowDoc: ?OnShowDoc,
+  styleConfig: StyleConfig,
+  definition: FragmentDefinitionNode | OperationDefinitionNode,
+  variables: Variables,
+|};
+
+type ListArgInputState = {|keys: $ReadOnlyArray<number>|};
+
+class ListArgInput extends React.PureComponent<
+  ListArgInputProps,
+  ListArgInputState,
+> {
+  // Each item keeps its key as it's moved around, so that its inputs move
+  // along with it
+  _nextKey: number = 0;
+  state = {keys: this.props.values.map(() => this._nextKey++)};
+
+  componentWillReceiveProps(nextProps: ListArgInputProps) {
+    if (nextProps.values !== this.props.values) {
+      this.setState({
+        keys: this._followKeys(this.props.values, nextProps.values),
+      });
     }
   }
-  return args;
-}
-
-class FieldView extends React.PureComponent<FieldViewProps, {}> {
-  _previousSelection: ?SelectionNode;
-  _addAllFieldsToSelections = rawSubfields => {
-    const subFields: Array<FieldNode> = !!rawSubfields
-      ? Object.keys(rawSubfields).map(fieldName => {
-          return {
-            kind: 'Field',
-            name: {kind: 'Name', value: fieldName},
-            arguments: [],
-          };
-        })
-      : [];
 
-    const subSelectionSet: SelectionSetNode = {
-      kind: 'SelectionSet',
-      selections: subFields,
+  // Items that are still there keep their key. The values are parsed again
+  // after each edit, so items are matched by their text, and edited items take
+  // the key of the item that was at their index.
+  _followKeys = (
+    previous: $ReadOnlyArray<ValueNode>,
+    values: $ReadOnlyArray<ValueNode>,
+  ): Array<number> => {
+    const {keys} = this.state;
+    const previousTexts = previous.map(value => print(value));
+    const used = previous.map(() => false);
+    const take = index => {
+      used[index] = true;
+      return keys[index];
     };
-
-    const nextSelections = [
-      ...this.props.selections.filter(selection => {
-        if (selection.kind === 'InlineFragment') {
-          return true;
-        } else {
-          // Remove the current selection set for the target field
-          return selection.name.value !== this.props.field.name;
+    return values
+      .map(value => {
+        const text = print(value);
+        const index = previousTexts.findIndex(
+          (other, i) => other === text && !used[i],
+        );
+        return index === -1 ? -1 : take(index);
+      })
+      .map((key, index) => {
+        if (key !== -1) {
+          return key;
         }
-      }),
-      {
-        kind: 'Field',
-        name: {kind: 'Name', value: this.props.field.name},
-        arguments: defaultArgs(
-          this.props.getDefaultScalarArgValue,
-          this.props.makeDefaultArg,
-          this.props.field,
-        ),
-        selectionSet: subSelectionSet,
-      },
-    ];
-
-    this.props.modifySelections(nextSelections);
+        return index < previous.length && !used[index]
+          ? take(index)
+          : this._nextKey++;
+      });
   };
 
-  _addFieldToSelections = rawSubfields => {
-    const nextSelections = [
-      ...this.props.selections,
-      this._previousSelection || {
-        kind: 'Field',
-        name: {kind: 'Name', value: this.props.field.name},
-        arguments: defaultArgs(
-          this.props.getDefaultScalarArgValue,
-          this.props.makeDefaultArg,
-          this.props.field,
-        ),
-      },
-    ];
-
-    this.props.modifySelections(nextSelections);
+  _setItem = (index: number, value: ValueNode, options?: ?ModifyOptions) => {
+    this.props.setListValues(
+      this.props.values.map((v, i) => (i === index ? value : v)),
+      options,
+    );
   };
 
-  _handleUpdateSelections = event => {
-    const selection = this._getSelection();
-    if (selection && !event.altKey) {
-      this._removeFieldFromSelections();
-    } else {
-      const fieldType = getNamedType(this.props.field.type);
-      const rawSubfields = isObjectType(fieldType) && fieldType.getFields();
-
-      const shouldSelectAllSubfields = !!rawSubfields && event.altKey;
-
-      shouldSelectAllSubfields
-        ? this._addAllFieldsToSelections(rawSubfields)
-        : this._addFieldToSelections(rawSubfields);
+  _addItem = () => {
+    const {
+      arg,
+      itemType,
+      values,
+      parentField,
+      getDefaultScalarArgValue,
+      makeDefaultArg,
+    } = this.props;
+    const item = defaultInputValue(
+      getDefaultScalarArgValue,
+      makeDefaultArg,
+      parentField,
+      arg,
+      itemType,
+    );
+    if (!item) {
+      console.error('Unable to add list item for itemType', itemType);
+      return;
     }
+    this.props.setListValues([...values, item]);
   };
 
-  _removeFieldFromSelections = () => {
-    const previousSelection = this._getSelection();
-    this._previousSelection = previousSelection;
-    this.props.modifySelections(
-      this.props.selections.filter(
-        selection => selection !== previousSelection,
-      ),
-    );
-  };
-  _getSelection = (): ?FieldNode => {
-    const selection = this.props.selections.find(
-      selection =>
-        selection.kind === 'Field' &&
-        this.props.field.name === selection.name.value,
-    );
-    if (!selection) {
-      return null;
-    }
-    if (selection.kind === 'Field') {
-      return selection;
-    }
+  _removeItem = (index: number) => {
+    this.props.setListValues(this.props.values.filter((v, i) => i !== index));
   };
 
-  _setArguments = (argumentNodes: $ReadOnlyArray<ArgumentNode>) => {
-    const selection = this._getSelection();
-    if (!selection) {
-      console.error('Missing selection when setting arguments', argumentNodes);
+  _moveItem = (index: number, offset: number) => {
+    const {values} = this.props;
+    const target = index + offset;
+    if (target < 0 || target >= values.length) {
       return;
     }
-    this.props.modifySelections(
-      this.props.selections.map(s =>
-        s === selection
-          ? {
-              alias: selection.alias,
-              arguments: argumentNodes,
-              directives: selection.directives,
-              kind: 'Field',
-              name: selection.name,
-              selectionSet: selection.selectionSet,
-            }
-          : s,
-      ),
-    );
+    const nextValues = [...values];
+    nextValues[index] = values[target];
+    nextValues[target] = values[index];
+    this.props.setListValues(nextValues);
   };
 
-  _modifyChildSelections = (selections: Selections) => {
-    this.props.modifySelections(
-      this.props.selections.map(selection => {
-        if (
-          selection.kind === 'Field' &&
-          this.props.field.name === selection.name.value
-        ) {
-          if (selection.kind !== 'Field') {
-            throw new Error('invalid selection');
-          }
-          return {
-            alias: selection.alias,
-            arguments: selection.arguments,
-            directives: selection.directives,
-            kind: 'Field',
-            name: selection.name,
-            selectionSet: {
-              kind: 'SelectionSet',
-              selections,
-            },
-          };
-        }
-        return selection;
-      }),
+  render() {
+    const {arg, itemType, values, styleConfig} = this.props;
+    const namedItemType = getNullableType(itemType);
+
+    return (
+      <div className="graphiql-explorer-children graphiql-explorer-list">
+        {values.map((value, index) => (
+          <div
+            key={this.state.keys[index]}
+            className="graphiql-explorer-list-item"
+            data-list-index={index}>
+            <span
+              className="graphiql-explorer-list-control"
+              title="Remove item"
+              onClick={() => this._removeItem(index)}>
+              {'\u2715'}
+            </span>
+            <span
+              className="graphiql-explorer-list-control"
+              style={{visibility: index === 0 ? 'hidden' : 'visible'}}
+              title="Move item up"
+              onClick={() => this._moveItem(index, -1)}>
+              {'\u2191'}
+            </span>
+            <span
+              className="graphiql-explorer-list-control"
+              style={{
+                visibility: index === values.length - 1 ? 'hidden' : 'visible',
+              }}
+              title="Move item down"
+              onClick={() => this._moveItem(index, 1)}>
+              {'\u2193'}
+            </span>{' '}
+            <ArgInput
+              arg={arg}
+              argType={itemType}
+              argValue={value}
+              parentField={this.props.parentField}
+              setArgValueNode={itemValue => this._setItem(index, itemValue)}
+              setArgValue={event => {
+                if (isLeafType(namedItemType) || isListType(namedItemType)) {
+                  this._setItem(
+                    index,
+                    coerceArgValue(namedItemType, event.target.value),
+                  );
+                }
+              }}
+              setArgFields={(fields, options) =>
+                this._setItem(index, {kind: 'ObjectValue', fields}, options)
+              }
+              setArgListValues={(itemValues, options) =>
+                this._setItem(
+                  index,
+                  {kind: 'ListValue', values: itemValues},
+                  options,
+                )
+              }
+              getDefaultScalarArgValue={this.props.getDefaultScalarArgValue}
+              scalarInputs={this.props.scalarInputs}
+              makeDefaultArg={this.props.makeDefaultArg}
+              onRunOperation={this.props.onRunOperation}
+              showTypes={this.props.showTypes}
+              onShowDoc={this.props.onShowDoc}
+              styleConfig={styleConfig}
+              definition={this.props.definition}
+              variables={this.props.variables}
+            />
+          </div>
+        ))}
+        <span
+          className="graphiql-explorer-action graphiql-explorer-attribute"
+          onClick={this._addItem}>
+          + add item
+        </span>
+      </div>
     );
+  }
+}
+
+class AbstractArgView extends React.PureComponent<AbstractArgViewProps, {}> {
+  // Switches between an explicit null and a default value
+  _toggleNull = () => {
+    const {argValue, arg} = this.props;
+    if (argValue && argValue.kind === 'NullValue') {
+      const value = defaultInputValue(
+        this.props.getDefaultScalarArgValue,
+        this.props.makeDefaultArg,
+        this.props.parentField,
+        arg,
+        arg.type,
+      );
+      if (value) {
+        this.props.setArgValueNode(value);
+      }
+    } else {
+      this.props.setArgValueNode({kind: 'NullValue'});
+    }
   };
 
   render() {
-    const {field, schema, getDefaultFieldNames, styleConfig} = this.props;
-    const selection = this._getSelection();
-    const type = unwrapOutputType(field.type);
-    const args = field.args.sort((a, b) => a.name.localeCompare(b.name));
-    let className = 'graphiql-explorer-node';
-    
-    if (field.isDeprecated) {
-      className += ' deprecated';
-    }
+    const {argValue, arg, styleConfig} = this.props;
+    const argType = unwrapInputType(arg.type);
+    const defaultValue = schemaDefault(arg);
 
-    const node = (
-      <div className={className}>
+    const input = argValue ? (
+      <ArgInput
+        arg={arg}
+        argType={arg.type}
+        argValue={argValue}
+        parentField={this.props.parentField}
+        setArgValue={this.props.setArgValue}
+        setArgValueNode={this.props.setArgValueNode}
+        setArgFields={this.props.setArgFields}
+        setArgListValues={this.props.setArgListValues}
+        getDefaultScalarArgValue={this.props.getDefaultScalarArgValue}
+        scalarInputs={this.props.scalarInputs}
+        makeDefaultArg={this.props.makeDefaultArg}
+        onRunOperation={this.props.onRunOperation}
+        showTypes={this.props.showTypes}
+        onShowDoc={this.props.onShowDoc}
+        styleConfig={styleConfig}
+        definition={this.props.definition}
+        variables={this.props.variables}
+      />
+    ) : null;
+
+    return (
+      <div
+        className={
+          this.props.errors.length
+            ? 'graphiql-explorer-arg graphiql-explorer-invalid'
+            : 'graphiql-explorer-arg'
+        }
+        data-arg-name={arg.name}
+        data-arg-type={argType.name}
+        {...treeItemProps(
+          {
+            isExpanded:
+              isInputObjectType(argType) ||
+              isListType(getNullableType(arg.type))
+                ? !!argValue
+                : null,
+            isActive: !!argValue,
+            toggle: argValue ? this.props.removeArg : this.props.addArg,
+          },
+          arg.name,
+        )}>
         <span
-          title={field.description}
-          style={{
-            cursor: 'pointer',
-            display: 'inline-flex',
-            alignItems: 'center',
-            minHeight: '16px',
-            WebkitUserSelect: 'none',
-            userSelect: 'none',
-          }}
-          data-field-name={field.name}
-          data-field-type={type.name}
-          onClick={this._handleUpdateSelections}>
-          {isObjectType(type) ? (
+          className="graphiql-explorer-toggle"
+          onClick={argValue ? this.props.removeArg : this.props.addArg}>
+          {isInputObjectType(argType) ||
+          isListType(getNullableType(arg.type)) ? (
             <span>
-              {!!selection
+              {!!argValue
                 ? this.props.styleConfig.arrowOpen
                 : this.props.styleConfig.arrowClosed}
             </span>
-          ) : null}
-          {isObjectType(type) ? null : (
+          ) : (
             <Checkbox
-              checked={!!selection}
+              checked={!!argValue}
               styleConfig={this.props.styleConfig}
             />
           )}
-          <span style={{color: styleConfig.colors.property}}>{field.name}</span>
-        </span>
-        {selection && args.length ? (
-          <div style={{marginLeft: 16}}>
-            {args.map(arg => (
-              <ArgView
-                key={arg.name}
-                parentField={field}
-                arg={arg}
-                selection={selection}
-                modifyArguments={this._setArguments}
-                getDefaultScalarArgValue={this.props.getDefaultScalarArgValue}
-                makeDefaultArg={this.props.makeDefaultArg}
-                onRunOperation={this.props.onRunOperation}
-                styleConfig={this.props.styleConfig}
-              />
-            ))}
-          </div>
+          <DocTrigger
+            item={arg}
+            showTypes={this.props.showTypes}
+            onShowDoc={this.props.onShowDoc}>
+            <span className="graphiql-explorer-attribute">
+              {arg.name}
+              {isRequiredArgument(arg) ? '*' : ''}:
+            </span>
+          </DocTrigger>
+          {argDeprecationReason(arg) != null ? (
+            <DeprecationNote reason={argDeprecationReason(arg)} />
+          ) : null}
+          {!argValue && defaultValue != null ? (
+            <span className="graphiql-explorer-arg-default" data-arg-default>
+              {`= ${defaultValue}`}
+            </span>
+          ) : null}
+        </span>{' '}
+        {argValue &&
+        argValue.kind !== 'Variable' &&
+        !isNonNullType(arg.type) ? (
+          <span
+            className={
+              argValue.kind === 'NullValue'
+                ? 'graphiql-explorer-action graphiql-explorer-builtin'
+                : 'graphiql-explorer-action'
+            }
+            title={
+              argValue.kind === 'NullValue'
+                ? 'Set a value instead of null'
+                : 'Set to null'
+            }
+            data-arg-null-toggle={arg.name}
+            onClick={this._toggleNull}>
+            {'\u2205 '}
+          </span>
+        ) : null}
+        {argValue && defaultValue != null ? (
+          <span
+            className="graphiql-explorer-action"
+            title={`Reset to the schema default, ${defaultValue}`}
+            data-arg-reset={arg.name}
+            onClick={this.props.removeArg}>
+            {'\u21BA '}
+          </span>
+        ) : null}
+        {argValue && this.props.toggleVariable ? (
+          <span
+            className={
+              argValue.kind === 'Variable'
+                ? 'graphiql-explorer-action graphiql-explorer-variable'
+                : 'graphiql-explorer-action'
+            }
+            title={
+              argValue.kind === 'Variable'
+                ? 'Inline the variable value'
+                : 'Extract into a variable'
+            }
+            data-arg-variable-toggle={arg.name}
+            onClick={this.props.toggleVariable}>
+            ${' '}
+          </span>
         ) : null}
+        {input || <span />}
+        <ValidationErrorsView
+          errors={this.props.errors}
+          quickFixes={this.props.quickFixes}
+        />
       </div>
     );
-
-    if (
-      selection &&
-      (isObjectType(type) || isInterfaceType(type) || isUnionType(type))
-    ) {
-      const fields = isUnionType(type) ? {} : type.getFields();
-      const childSelections = selection
-        ? selection.selectionSet
-          ? selection.selectionSet.selections
-          : []
-        : [];
-      return (
-        <div>
-          {node}
-          <div style={{marginLeft: 16}}>
-            {Object.keys(fields)
-              .sort()
-              .map(fieldName => (
-                <FieldView
-                  key={fieldName}
-                  field={fields[fieldName]}
-                  selections={childSelections}
-                  modifySelections={this._modifyChildSelections}
-                  schema={schema}
-                  getDefaultFieldNames={getDefaultFieldNames}
-                  getDefaultScalarArgValue={this.props.getDefaultScalarArgValue}
-                  makeDefaultArg={this.props.makeDefaultArg}
-                  onRunOperation={this.props.onRunOperation}
-                  styleConfig={this.props.styleConfig}
-                />
-              ))}
-            {isInterfaceType(type) || isUnionType(type)
-              ? schema
-                  .getPossibleTypes(type)
-                  .map(type => (
-                    <AbstractView
-                      key={type.name}
-                      implementingType={type}
-                      selections={childSelections}
-                      modifySelections={this._modifyChildSelections}
-                      schema={schema}
-                      getDefaultFieldNames={getDefaultFieldNames}
-                      getDefaultScalarArgValue={
-                        this.props.getDefaultScalarArgValue
-                      }
-                      makeDefaultArg={this.props.makeDefaultArg}
-                      onRunOperation={this.props.onRunOperation}
-                      styleConfig={this.props.styleConfig}
-                    />
-                  ))
-              : null}
-          </div>
-        </div>
-      );
-    }
-    return node;
   }
 }
 
-function parseQuery(text: string): ?DocumentNode | Error {
-  try {
-    if (!text.trim()) {
+type FragmentViewProps = {|
+  fragment: FragmentDefinitionNode,
+  selections: Selections,
+  modifySelections: (selections: Selections, options?: ?ModifyOptions) => void,
+  styleConfig: StyleConfig,
+|};
+
+class FragmentView extends React.PureComponent<FragmentViewProps, {}> {
+  _previousSelection: ?FragmentSpreadNode;
+  _addFragment = () => {
+    this.props.modifySelections([
+      ...this.props.selections,
+      this._previousSelection || {
+        kind: 'FragmentSpread',
+        name: {kind: 'Name', value: this.props.fragment.name.value},
+        directives: [],
+      },
+    ]);
+  };
+  _removeFragment = () => {
+    const thisSelection = this._getSelection();
+    this._previousSelection = thisSelection;
+    this.props.modifySelections(
+      this.props.selections.filter(s => s !== thisSelection),
+    );
+  };
+  _getSelection = (): ?FragmentSpreadNode => {
+    const selection = this.props.selections.find(
+      selection =>
+        selection.kind === 'FragmentSpread' &&
+        selection.name.value === this.props.fragment.name.value,
+    );
+    if (!selection) {
       return null;
     }
-    return parse(
-      text,
-      // Tell graphql to not bother track locations when parsing, we don't need
-      // it and it's a tiny bit more expensive.
-      {noLocation: true},
+    if (selection.kind === 'FragmentSpread') {
+      return selection;
+    }
+  };
+  _jumpToFragment = () => {
+    const fragmentRoot = document.getElementById(
+      `fragment-${this.props.fragment.name.value}`,
+    );
+    if (fragmentRoot) {
+      fragmentRoot.scrollIntoView();
+    }
+  };
+
+  render() {
+    const {fragment, styleConfig} = this.props;
+    const selection = this._getSelection();
+    return (
+      <div
+        className="graphiql-explorer-fragment-spread"
+        data-fragment-spread={fragment.name.value}
+        {...treeItemProps(
+          {
+            isExpanded: null,
+            isActive: !!selection,
+            toggle: selection ? this._removeFragment : this._addFragment,
+          },
+          `...${fragment.name.value}`,
+        )}>
+        <span
+          className="graphiql-explorer-toggle"
+          onClick={selection ? this._removeFragment : this._addFragment}>
+          <Checkbox checked={!!selection} styleConfig={styleConfig} />
+          <span className="graphiql-explorer-def">
+            ...{fragment.name.value}
+          </span>
+        </span>
+        {selection ? (
+          <span
+            className="graphiql-explorer-action"
+            title={`Go to fragment ${fragment.name.value}`}
+            onClick={this._jumpToFragment}>
+            {styleConfig.arrowClosed}
+          </span>
+        ) : null}
+      </div>
     );
-  } catch (e) {
-    return new Error(e);
   }
 }
 
-const DEFAULT_OPERATION = {
-  kind: 'OperationDefinition',
-  operation: 'query',
-  variableDefinitions: [],
-  name: {kind: 'Name', value: 'MyQuery'},
-  directives: [],
-  selectionSet: {
-    kind: 'SelectionSet',
-    selections: [],
-  },
-};
-const DEFAULT_DOCUMENT = {
-  kind: 'Document',
-  definitions: [DEFAULT_OPERATION],
-};
-let parseQueryMemoize: ?[string, DocumentNode] = null;
-function memoizeParseQuery(query: string): DocumentNode {
-  if (parseQueryMemoize && parseQueryMemoize[0] === query) {
-    return parseQueryMemoize[1];
-  } else {
-    const result = parseQuery(query);
-    if (!result) {
-      return DEFAULT_DOCUMENT;
-    } else if (result instanceof Error) {
-      if (parseQueryMemoize) {
-        // Most likely a temporarily invalid query while they type
-        return parseQueryMemoize[1];
-      } else {
-        return DEFAULT_DOCUMENT;
-      }
-    } else {
-      parseQueryMemoize = [query, result];
-      return result;
+type DirectiveViewProps = {|
+  directive: GraphQLDirective,
+  directives: $ReadOnlyArray<DirectiveNode>,
+  modifyDirectives: (
+    directives: $ReadOnlyArray<DirectiveNode>,
+    options?: ?ModifyOptions,
+  ) => void,
+  scalarInputs: ScalarInputs,
+  onRunOperation: void => void,
+  showTypes: boolean,
+  onShowDoc: ?OnShowDoc,
+  styleConfig: StyleConfig,
+  definition: FragmentDefinitionNode | OperationDefinitionNode,
+  variables: Variables,
+  validation: Validation,
+|};
+
+class DirectiveView extends React.PureComponent<DirectiveViewProps, {}> {
+  _previousSelection: ?DirectiveNode;
+
+  _getSelection = (): ?DirectiveNode => {
+    return this.props.directives.find(
+      directive => directive.name.value === this.props.directive.name,
+    );
+  };
+
+  _addDirective = () => {
+    const {directive, directives} = this.props;
+    this.props.modifyDirectives([
+      ...directives,
+      this._previousSelection || {
+        kind: 'Directive',
+        name: {kind: 'Name', value: directive.name},
+        arguments: defaultDirectiveArgs(directive),
+      },
+    ]);
+  };
+
+  _removeDirective = () => {
+    const selection = this._getSelection();
+    this._previousSelection = selection;
+    this.props.modifyDirectives(
+      this.props.directives.filter(directive => directive !== selection),
+    );
+  };
+
+  _setArguments = (
+    argumentNodes: $ReadOnlyArray<ArgumentNode>,
+    options?: ?ModifyOptions,
+  ) => {
+    const selection = this._getSelection();
+    if (!selection) {
+      console.error('Missing directive when setting arguments', argumentNodes);
+      return;
     }
-  }
-}
+    this.props.modifyDirectives(
+      this.props.directives.map(directive =>
+        directive === selection
+          ? {...directive, arguments: argumentNodes}
+          : directive,
+      ),
+      options,
+    );
+  };
+
+  render() {
+    const {directive, styleConfig} = this.props;
+    const selection = this._getSelection();
+    const args = [...directive.args].sort((a, b) =>
+      a.name.localeCompare(b.name),
+    );
+    return (
+      <div
+        className="graphiql-explorer-directive"
+        data-directive-name={directive.name}
+        {...treeItemProps(
+          {
+            isExpanded: args.length ? !!selection : null,
+            isActive: !!selection,
+            toggle: selection ? this._removeDirective : this._addDirective,
+          },
+          `@${directive.name}`,
+        )}>
+        <span
+          className="graphiql-explorer-toggle"
+          title={directive.description}
+          onClick={selection ? this._removeDirective : this._addDirective}>
+          <Checkbox checked={!!selection} styleConfig={styleConfig} />
+          <span className="graphiql-explorer-keyword">@{directive.name}</span>
+        </span>
+        {selection && (args.length || (selection.arguments || []).length) ? (
+          <div role="group" className="graphiql-explorer-children">
+            <ArgGroupsView
+              args={args}
+              argumentNodes={selection.arguments || []}
+              renderArg={arg => (
+                <ArgView
+                  validation={this.props.validation}
+                  key={arg.name}
+                  parentField={null}
+                  arg={arg}
+                  selection={selection}
+                  modifyArguments={this._setArguments}
+                  getDefaultScalarArgValue={defaultGetDefaultScalarArgValue}
+                  scalarInputs={this.props.scalarInputs}
+                  makeDefaultArg={null}
+                  onRunOperation={this.props.onRunOperation}
+                  showTypes={this.props.showTypes}
+                  onShowDoc={this.props.onShowDoc}
+                  styleConfig={styleConfig}
+                  definition={this.props.definition}
+                  variables={this.props.variables}
+                />
+              )}
+              styleConfig={styleConfig}
+            />
+            <UnknownArgumentsView
+              args={args}
+              argumentNodes={selection.arguments || []}
+              setArguments={this._setArguments}
+              styleConfig={styleConfig}
+            />
+          </div>
+        ) : null}
+      </div>
+    );
+  }
+}
+
+type DirectivesViewProps = {|
+  location: 'FIELD' | 'INLINE_FRAGMENT',
+  directives: $ReadOnlyArray<DirectiveNode>,
+  modifyDirectives: (
+    directives: $ReadOnlyArray<DirectiveNode>,
+    options?: ?ModifyOptions,
+  ) => void,
+  schema: GraphQLSchema,
+  scalarInputs: ScalarInputs,
+  onRunOperation: void => void,
+  showTypes: boolean,
+  onShowDoc: ?OnShowDoc,
+  styleConfig: StyleConfig,
+  definition: FragmentDefinitionNode | OperationDefinitionNode,
+  variables: Variables,
+  validation: Validation,
+|};
+
+// Lists the schema's directives that are valid at `location`
+function DirectivesView(props: DirectivesViewProps) {
+  const directives = props.schema
+    .getDirectives()
+    .filter(directive => directive.locations.indexOf(props.location) !== -1);
+  return (
+    <div role="group" className="graphiql-explorer-children">
+      {directives.map(directive => (
+        <DirectiveView
+          validation={props.validation}
+          key={directive.name}
+          directive={directive}
+          directives={props.directives}
+          modifyDirectives={props.modifyDirectives}
+          scalarInputs={props.scalarInputs}
+          onRunOperation={props.onRunOperation}
+          showTypes={props.showTypes}
+          onShowDoc={props.onShowDoc}
+          styleConfig={props.styleConfig}
+          definition={props.definition}
+          variables={props.variables}
+        />
+      ))}
+    </div>
+  );
+}
+
+function DirectivesToggle(props: {
+  active: boolean,
+  onClick: () => void,
+  styleConfig: StyleConfig,
+}) {
+  return (
+    <span
+      className={
+        props.active
+          ? 'graphiql-explorer-action graphiql-explorer-keyword'
+          : 'graphiql-explorer-action'
+      }
+      title="Directives"
+      data-directives-toggle
+      onClick={props.onClick}>
+      @
+    </span>
+  );
+}
+
+// graphql-js only learned to deprecate arguments after v14, so also read the
+// directive from schemas built with SDL
+function argDeprecationReason(arg: GraphQLArgument): ?string {
+  if ((arg: any).deprecationReason != null) {
+    return (arg: any).deprecationReason;
+  }
+  const deprecated =
+    arg.astNode && getDirectiveValues(GraphQLDeprecatedDirective, arg.astNode);
+  return deprecated ? String(deprecated.reason) : null;
+}
+
+type FieldGroups = {|
+  live: Array<string>,
+  beta: Array<string>,
+  deprecated: Array<string>,
+|};
+
+function groupFields(
+  fields: GraphQLFieldMap<any, any>,
+  isBetaField: ?IsBetaField,
+): FieldGroups {
+  const groups = {live: [], beta: [], deprecated: []};
+  Object.keys(fields)
+    .sort()
+    .forEach(fieldName => {
+      const field = fields[fieldName];
+      if (field.isDeprecated) {
+        groups.deprecated.push(fieldName);
+      } else if (isBetaField && isBetaField(field)) {
+        groups.beta.push(fieldName);
+      } else {
+        groups.live.push(fieldName);
+      }
+    });
+  return groups;
+}
+
+function hasSelectedField(
+  selections: Selections,
+  fieldNames: Array<string>,
+): boolean {
+  return selections.some(
+    selection =>
+      selection.kind === 'Field' &&
+      fieldNames.indexOf(selection.name.value) !== -1,
+  );
+}
+
+type CollapsibleGroupViewProps = {|
+  label: string,
+  // Groups holding part of the selection start out expanded
+  defaultOpen: boolean,
+  styleConfig: StyleConfig,
+  children: React.Node,
+|};
+
+class CollapsibleGroupView extends React.PureComponent<
+  CollapsibleGroupViewProps,
+  {isOpen: ?boolean},
+> {
+  state = {isOpen: null};
+
+  _toggle = () => {
+    this.setState({isOpen: !this._isOpen()});
+  };
+
+  _isOpen = (): boolean =>
+    this.state.isOpen == null ? this.props.defaultOpen : this.state.isOpen;
+
+  render() {
+    const {label, styleConfig} = this.props;
+    const isOpen = this._isOpen();
+    return (
+      <div
+        className="graphiql-explorer-group"
+        data-group={label}
+        {...treeItemProps(
+          {isExpanded: isOpen, isActive: isOpen, toggle: this._toggle},
+          label,
+        )}>
+        <span
+          className="graphiql-explorer-toggle graphiql-explorer-group-label"
+          onClick={this._toggle}>
+          {isOpen ? styleConfig.arrowOpen : styleConfig.arrowClosed}
+          {label}
+        </span>
+        {isOpen ? (
+          <div role="group" className="graphiql-explorer-children">
+            {this.props.children}
+          </div>
+        ) : null}
+      </div>
+    );
+  }
+}
+
+// Trees with fewer rows than this are rendered in full
+const WINDOWED_ROWS_THRESHOLD = 100;
+// Rows rendered before the first measurement, and above and below the
+// visible rows
+const WINDOWED_ROWS_INITIAL = 50;
+const WINDOWED_ROWS_OVERSCAN = 20;
+// Height of a row that hasn't been rendered yet, i.e. an unselected field
+const DEFAULT_ROW_HEIGHT = 16;
+// Rows nested this deep or deeper in windowed-out rows can't be reached with
+// one key press
+const MAX_REVEAL_ATTEMPTS = 10;
+
+function scrollParent(element: HTMLElement): ?HTMLElement {
+  let parent = element.parentElement;
+  while (parent instanceof HTMLElement) {
+    const {overflowY} = window.getComputedStyle(parent);
+    if (overflowY === 'auto' || overflowY === 'scroll') {
+      return parent;
+    }
+    parent = parent.parentElement;
+  }
+  return null;
+}
+
+type WindowedRow = {|
+  list: WindowedRows,
+  index: number,
+  top: number,
+  bottom: number,
+  // Holds the focus, so it stays rendered wherever it's scrolled to
+  isFocused: boolean,
+|};
+
+// The field lists of the whole tree, flattened into one list of rows in the
+// order they're shown, of which only the rows that are scrolled into view
+// are rendered. Each explorer has one, and every field list registers with
+// it.
+class TreeWindow {
+  _lists: Array<WindowedRows> = [];
+  _scrollParent: ?HTMLElement = null;
+  _isUpdateScheduled: boolean = false;
+
+  attach(element: HTMLElement) {
+    this._scrollParent = scrollParent(element);
+    this._scrollTarget().addEventListener('scroll', this.scheduleUpdate);
+    window.addEventListener('resize', this.scheduleUpdate);
+  }
+
+  detach() {
+    this._scrollTarget().removeEventListener('scroll', this.scheduleUpdate);
+    window.removeEventListener('resize', this.scheduleUpdate);
+  }
+
+  // Without the stylesheet nothing scrolls but the page
+  _scrollTarget(): EventTarget {
+    return this._scrollParent || window;
+  }
+
+  register(list: WindowedRows) {
+    this._lists.push(list);
+    this.scheduleUpdate();
+  }
+
+  unregister(list: WindowedRows) {
+    this._lists = this._lists.filter(other => other !== list);
+    this.scheduleUpdate();
+  }
+
+  // The rows of lists nested in windowed-out rows aren't counted, so the
+  // tree stays windowed while any rows are windowed out
+  isWindowed(): boolean {
+    let count = 0;
+    return this._lists.some(list => {
+      count += list.props.rows.length;
+      return count > WINDOWED_ROWS_THRESHOLD || list.isHidingRows();
+    });
+  }
+
+  // Lists mount and scroll events arrive in bursts, so the window is worked
+  // out once they're done
+  scheduleUpdate = () => {
+    if (!this._isUpdateScheduled) {
+      this._isUpdateScheduled = true;
+      setTimeout(this._update, 0);
+    }
+  };
+
+  _update = () => {
+    this._isUpdateScheduled = false;
+    const isWindowed = this.isWindowed();
+    const container = this._scrollParent;
+    const viewportTop = container ? container.getBoundingClientRect().top : 0;
+    const viewportHeight = container
+      ? container.clientHeight
+      : window.innerHeight;
+    if (!isWindowed || viewportHeight === 0) {
+      // Not laid out yet, e.g. in a closed panel, so only switch windowing on
+      // or off
+      this._lists.forEach(list =>
+        this._setWindow(list, isWindowed, list.state.start, list.state.end),
+      );
+      return;
+    }
+
+    // Parents come before the lists nested in them, so that the rows are in
+    // the order they're shown when their tops are the same
+    const lists = this._lists.slice().sort((a, b) => {
+      const aElement = a.element();
+      const bElement = b.element();
+      return aElement &&
+        bElement &&
+        aElement.compareDocumentPosition(bElement) &
+          Node.DOCUMENT_POSITION_PRECEDING
+        ? 1
+        : -1;
+    });
+    const rows: Array<WindowedRow> = [];
+    lists.forEach(list => list.addRows(rows));
+    rows.sort((a, b) => a.top - b.top);
+
+    // The rows nested in a row come right after it, so a row takes up the
+    // space up to the next one
+    const ownBottom = (index: number) =>
+      index + 1 < rows.length
+        ? Math.min(rows[index].bottom, rows[index + 1].top)
+        : rows[index].bottom;
+    let first = 0;
+    while (first < rows.length && ownBottom(first) <= viewportTop) {
+      first++;
+    }
+    let last = first;
+    while (
+      last < rows.length &&
+      rows[last].top < viewportTop + viewportHeight
+    ) {
+      last++;
+    }
+    first = Math.max(0, first - WINDOWED_ROWS_OVERSCAN);
+    last = Math.min(rows.length, last + WINDOWED_ROWS_OVERSCAN);
+
+    const ranges: Map<WindowedRows, [number, number]> = new Map();
+    const addRow = (list: WindowedRows, index: number) => {
+      const range = ranges.get(list);
+      ranges.set(
+        list,
+        range
+          ? [Math.min(range[0], index), Math.max(range[1], index + 1)]
+          : [index, index + 1],
+      );
+    };
+    rows
+      .slice(first, last)
+      .concat(rows.filter(row => row.isFocused))
+      .forEach(({list, index}) => addRow(list, index));
+    // A list is only rendered along with the row it's nested in, so nested
+    // lists come first to add their rows to their parent lists
+    lists
+      .slice()
+      .reverse()
+      .forEach(list => {
+        const parentRow = ranges.has(list) ? this._parentRow(list) : null;
+        if (parentRow) {
+          addRow(parentRow[0], parentRow[1]);
+        }
+      });
+    lists.forEach(list => {
+      const range = ranges.get(list) || [0, 0];
+      this._setWindow(list, true, range[0], range[1]);
+    });
+  };
+
+  // The list and index of the row `list` is nested in, if any
+  _parentRow(list: WindowedRows): ?[WindowedRows, number] {
+    const element = list.element();
+    let node = element ? element.parentElement : null;
+    while (node) {
+      const parentNode = node.parentElement;
+      const parent = node.hasAttribute('data-window-row')
+        ? this._lists.find(other => other.element() === parentNode)
+        : null;
+      if (parent) {
+        return [
+          parent,
+          parent.renderedStart() + Number(node.getAttribute('data-window-row')),
+        ];
+      }
+      node = parentNode;
+    }
+    return null;
+  }
+
+  // Rendering a list can unmount the lists nested in it
+  _setWindow(
+    list: WindowedRows,
+    isWindowed: boolean,
+    start: number,
+    end: number,
+  ) {
+    if (this._lists.indexOf(list) !== -1) {
+      list.setWindow(isWindowed, start, end);
+    }
+  }
+
+  // Renders the row next to the rendered ones that `spacer` stands in for,
+  // e.g. to move focus to it with the keyboard
+  reveal(spacer: HTMLElement, edge: 'first' | 'last', callback: () => void) {
+    const list = this._lists.find(list => list.element() === spacer.parentNode);
+    if (list) {
+      list.showRow(
+        spacer.getAttribute('data-window-spacer') === 'before'
+          ? edge === 'first'
+            ? 0
+            : list.state.start - 1
+          : edge === 'first'
+          ? list.state.end
+          : list.props.rows.length - 1,
+        callback,
+      );
+    }
+  }
+}
+
+type WindowedRowsProps = {|
+  // Every row needs a key, which is also used to remember its height
+  rows: Array<React.Element<any>>,
+  treeWindow: TreeWindow,
+|};
+
+type WindowedRowsState = {|
+  isWindowed: boolean,
+  start: number,
+  end: number,
+|};
+
+// A list of rows in the tree, of which only the rows `TreeWindow` puts in
+// the window are rendered, with spacers in place of the others, so that
+// schemas with thousands of fields stay responsive
+class WindowedRows extends React.PureComponent<
+  WindowedRowsProps,
+  WindowedRowsState,
+> {
+  state = {
+    isWindowed:
+      this.props.rows.length > WINDOWED_ROWS_THRESHOLD ||
+      this.props.treeWindow.isWindowed(),
+    start: 0,
+    end: WINDOWED_ROWS_INITIAL,
+  };
+  _ref: ?HTMLElement;
+  _heights: {[key: string]: number} = {};
+
+  componentDidMount() {
+    this._measure(null);
+    this.props.treeWindow.register(this);
+  }
+
+  componentDidUpdate(
+    prevProps: WindowedRowsProps,
+    prevState: WindowedRowsState,
+  ) {
+    // Scrolling only moves the window over the same rows, so only the rows
+    // it brings in need measuring, and the window only needs working out
+    // again when their heights weren't the ones it was worked out with
+    const isSameRows = prevProps.rows === this.props.rows;
+    const heightsChanged = this._measure(
+      isSameRows ? this._renderedRange(prevState) : null,
+    );
+    if (!isSameRows || heightsChanged) {
+      this.props.treeWindow.scheduleUpdate();
+    }
+  }
+
+  componentWillUnmount() {
+    this.props.treeWindow.unregister(this);
+  }
+
+  element(): ?HTMLElement {
+    return this._ref;
+  }
+
+  setWindow(isWindowed: boolean, start: number, end: number) {
+    if (
+      isWindowed !== this.state.isWindowed ||
+      start !== this.state.start ||
+      end !== this.state.end
+    ) {
+      this.setState({isWindowed, start, end});
+    }
+  }
+
+  showRow(index: number, callback: () => void) {
+    this.setState(
+      {
+        isWindowed: true,
+        start: Math.max(0, index - WINDOWED_ROWS_OVERSCAN),
+        end: Math.min(
+          this.props.rows.length,
+          index + WINDOWED_ROWS_OVERSCAN + 1,
+        ),
+      },
+      callback,
+    );
+  }
+
+  // Adds the rows with where they are, or would be if they were rendered
+  addRows(rows: Array<WindowedRow>) {
+    const element = this._ref;
+    if (!element) {
+      return;
+    }
+    let focusedIndex = -1;
+    Array.from(element.children).forEach(child => {
+      if (
+        child.hasAttribute('data-window-row') &&
+        child.contains(document.activeElement)
+      ) {
+        focusedIndex =
+          this.renderedStart() + Number(child.getAttribute('data-window-row'));
+      }
+    });
+    let top = element.getBoundingClientRect().top;
+    for (let index = 0; index < this.props.rows.length; index++) {
+      const bottom = top + this._rowHeight(index);
+      rows.push({
+        list: this,
+        index,
+        top,
+        bottom,
+        isFocused: index === focusedIndex,
+      });
+      top = bottom;
+    }
+  }
+
+  isHidingRows(): boolean {
+    return (
+      this.state.isWindowed &&
+      (this.state.start > 0 || this.state.end < this.props.rows.length)
+    );
+  }
+
+  renderedStart(): number {
+    return this._renderedRange(this.state)[0];
+  }
+
+  _renderedRange(state: WindowedRowsState): [number, number] {
+    const {length} = this.props.rows;
+    return state.isWindowed
+      ? [Math.min(state.start, length), Math.min(state.end, length)]
+      : [0, length];
+  }
+
+  _rowHeight(index: number): number {
+    const height = this._heights[String(this.props.rows[index].key)];
+    return height != null ? height : DEFAULT_ROW_HEIGHT;
+  }
+
+  _offset(start: number, end: number): number {
+    let offset = 0;
+    for (let index = start; index < end; index++) {
+      offset += this._rowHeight(index);
+    }
+    return offset;
+  }
+
+  // Remembers the heights of the rendered rows, which may have changed when a
+  // field was selected or expanded, except for the ones in `measured`. Returns
+  // whether any height changed.
+  _measure = (measured: ?[number, number]): boolean => {
+    const element = this._ref;
+    if (!element) {
+      return false;
+    }
+    const start = this.renderedStart();
+    let changed = false;
+    Array.from(element.children).forEach(child => {
+      const index = start + Number(child.getAttribute('data-window-row'));
+      const row = this.props.rows[index];
+      if (
+        !row ||
+        !child.hasAttribute('data-window-row') ||
+        (measured && index >= measured[0] && index < measured[1])
+      ) {
+        return;
+      }
+      const height = child.offsetHeight;
+      const key = String(row.key);
+      if (height > 0 && height !== this._heights[key]) {
+        this._heights[key] = height;
+        changed = true;
+      }
+    });
+    return changed;
+  };
+
+  render() {
+    const {rows} = this.props;
+    const [start, end] = this._renderedRange(this.state);
+    return (
+      <div
+        ref={ref => {
+          this._ref = ref;
+        }}>
+        <div
+          style={{height: this._offset(0, start)}}
+          data-window-spacer={start > 0 ? 'before' : undefined}
+        />
+        {rows.slice(start, end).map((row, index) => (
+          <div key={row.key} data-window-row={index}>
+            {row}
+          </div>
+        ))}
+        <div
+          style={{height: this._offset(end, rows.length)}}
+          data-window-spacer={end < rows.length ? 'after' : undefined}
+        />
+      </div>
+    );
+  }
+}
+
+type FieldGroupsViewProps = {|
+  groups: FieldGroups,
+  selections: Selections,
+  // One row for each selection of the field, see `fieldOccurrences`
+  renderField: (fieldName: string) => Array<React.Element<any>>,
+  treeWindow: TreeWindow,
+  styleConfig: StyleConfig,
+|};
+
+function FieldGroupsView(props: FieldGroupsViewProps) {
+  const {groups, selections, styleConfig} = props;
+  const renderFields = (fieldNames: Array<string>) => (
+    <WindowedRows
+      rows={fieldNames.reduce(
+        (rows, fieldName) => rows.concat(props.renderField(fieldName)),
+        [],
+      )}
+      treeWindow={props.treeWindow}
+    />
+  );
+  return (
+    <div>
+      {renderFields(groups.live)}
+      {groups.beta.length ? (
+        <CollapsibleGroupView
+          label={`Beta (${groups.beta.length})`}
+          defaultOpen={hasSelectedField(selections, groups.beta)}
+          styleConfig={styleConfig}>
+          {renderFields(groups.beta)}
+        </CollapsibleGroupView>
+      ) : null}
+      {groups.deprecated.length ? (
+        <CollapsibleGroupView
+          label={`Deprecated (${groups.deprecated.length})`}
+          defaultOpen={hasSelectedField(selections, groups.deprecated)}
+          styleConfig={styleConfig}>
+          {renderFields(groups.deprecated)}
+        </CollapsibleGroupView>
+      ) : null}
+    </div>
+  );
+}
+
+function DeprecationNote(props: {reason: ?string}) {
+  return (
+    <span
+      className="graphiql-explorer-deprecation-reason"
+      data-deprecation-reason>
+      {props.reason || 'Deprecated'}
+    </span>
+  );
+}
+
+type ArgGroupsViewProps = {|
+  args: $ReadOnlyArray<GraphQLArgument>,
+  argumentNodes: $ReadOnlyArray<ArgumentNode>,
+  renderArg: (arg: GraphQLArgument) => React.Node,
+  styleConfig: StyleConfig,
+|};
+
+function ArgGroupsView(props: ArgGroupsViewProps) {
+  const {args, argumentNodes, renderArg} = props;
+  const deprecatedArgs = args.filter(arg => argDeprecationReason(arg) != null);
+  return (
+    <div>
+      {args.filter(arg => deprecatedArgs.indexOf(arg) === -1).map(renderArg)}
+      {deprecatedArgs.length ? (
+        <CollapsibleGroupView
+          label={`Deprecated (${deprecatedArgs.length})`}
+          defaultOpen={argumentNodes.some(node =>
+            deprecatedArgs.some(arg => arg.name === node.name.value),
+          )}
+          styleConfig={props.styleConfig}>
+          {deprecatedArgs.map(renderArg)}
+        </CollapsibleGroupView>
+      ) : null}
+    </div>
+  );
+}
+
+function UnknownNodeView(props: {
+  label: string,
+  title: string,
+  onRemove: () => void,
+  styleConfig: StyleConfig,
+}) {
+  return (
+    <div
+      className="graphiql-explorer-unknown graphiql-explorer-warning"
+      data-unknown-node={props.label}
+      title={props.title}
+      {...treeItemProps(
+        {isExpanded: null, isActive: true, toggle: props.onRemove},
+        `${props.label} (unknown)`,
+      )}>
+      <span className="graphiql-explorer-unknown-label">{props.label}</span>
+      <span
+        className="graphiql-explorer-action graphiql-explorer-warning"
+        data-unknown-remove={props.label}
+        onClick={props.onRemove}>
+        remove
+      </span>
+    </div>
+  );
+}
+
+// Selections the other views can't show because the schema has no matching
+// field, type or fragment, e.g. after the schema changed under a saved query.
+// Inline fragments only have a view inside interface and union fields, one
+// per type the field can be, so any other inline fragment is listed too.
+function unknownSelections(
+  schema: GraphQLSchema,
+  parentType: ?GraphQLNamedType,
+  selections: Selections,
+  availableFragments: $ReadOnlyArray<FragmentDefinitionNode>,
+): Array<SelectionNode> {
+  const fields =
+    parentType && (isObjectType(parentType) || isInterfaceType(parentType))
+      ? parentType.getFields()
+      : {};
+  return selections.filter(selection => {
+    switch (selection.kind) {
+      case 'Field':
+        return (
+          selection.name.value !== '__typename' && !fields[selection.name.value]
+        );
+      case 'InlineFragment':
+        const typeCondition = selection.typeCondition;
+        return (
+          !typeCondition ||
+          !parentType ||
+          !(isInterfaceType(parentType) || isUnionType(parentType)) ||
+          !schema
+            .getPossibleTypes(parentType)
+            .some(type => type.name === typeCondition.name.value)
+        );
+      case 'FragmentSpread':
+        const name = selection.name.value;
+        return !availableFragments.some(
+          fragment => fragment.name.value === name,
+        );
+      default:
+        return false;
+    }
+  });
+}
+
+type UnknownSelectionsViewProps = {|
+  schema: GraphQLSchema,
+  parentType: ?GraphQLNamedType,
+  selections: Selections,
+  modifySelections: (selections: Selections, options?: ?ModifyOptions) => void,
+  availableFragments: $ReadOnlyArray<FragmentDefinitionNode>,
+  styleConfig: StyleConfig,
+|};
+
+function UnknownSelectionsView(props: UnknownSelectionsViewProps) {
+  const {selections, parentType} = props;
+  const unknown = unknownSelections(
+    props.schema,
+    parentType,
+    selections,
+    props.availableFragments,
+  );
+  if (!unknown.length) {
+    return null;
+  }
+  const rows = unknown.map(selection => {
+    const onRemove = () =>
+      props.modifySelections(replaceSelection(selections, selection, null));
+    let label, title;
+    if (selection.kind === 'Field') {
+      label = selection.alias
+        ? `${selection.alias.value}: ${selection.name.value}`
+        : selection.name.value;
+      title = parentType
+        ? `${parentType.name} has no field "${selection.name.value}"`
+        : `Unknown field "${selection.name.value}"`;
+    } else if (selection.kind === 'InlineFragment') {
+      const directives = (selection.directives || []).map(print);
+      if (!selection.typeCondition) {
+        label = ['...', ...directives].join(' ');
+        title = 'Inline fragments without a type condition have no view';
+      } else {
+        const typeName = selection.typeCondition.name.value;
+        label = [`... on ${typeName}`, ...directives].join(' ');
+        const type = props.schema.getType(typeName);
+        if (!type) {
+          title = `Unknown type "${typeName}"`;
+        } else if (
+          parentType &&
+          isCompositeType(type) &&
+          isCompositeType(parentType) &&
+          !doTypesOverlap(props.schema, type, parentType)
+        ) {
+          title = `A ${parentType.name} is never a ${typeName}`;
+        } else {
+          title = `Fragments on ${typeName} here have no view`;
+        }
+      }
+    } else {
+      label = `...${selection.name.value}`;
+      title = `Unknown fragment "${selection.name.value}"`;
+    }
+    return (
+      <UnknownNodeView
+        key={selections.indexOf(selection)}
+        label={label}
+        title={title}
+        onRemove={onRemove}
+        styleConfig={props.styleConfig}
+      />
+    );
+  });
+  return <div>{rows}</div>;
+}
+
+function UnknownArgumentsView(props: {
+  args: $ReadOnlyArray<GraphQLArgument>,
+  argumentNodes: $ReadOnlyArray<ArgumentNode>,
+  setArguments: (argumentNodes: $ReadOnlyArray<ArgumentNode>) => void,
+  styleConfig: StyleConfig,
+}) {
+  const {args, argumentNodes} = props;
+  const unknown = argumentNodes.filter(
+    node => !args.some(arg => arg.name === node.name.value),
+  );
+  if (!unknown.length) {
+    return null;
+  }
+  const rows = unknown.map(node => (
+    <UnknownNodeView
+      key={node.name.value}
+      label={node.name.value}
+      title={`Unknown argument "${node.name.value}"`}
+      onRemove={() => props.setArguments(argumentNodes.filter(n => n !== node))}
+      styleConfig={props.styleConfig}
+    />
+  ));
+  return <div>{rows}</div>;
+}
+
+type AbstractViewProps = {|
+  implementingType: GraphQLObjectType,
+  selections: Selections,
+  modifySelections: (selections: Selections, options?: ?ModifyOptions) => void,
+  schema: GraphQLSchema,
+  getDefaultFieldNames: (type: GraphQLObjectType) => Array<string>,
+  // How many levels of default subfields to add along with a new field
+  autoSelectDepth: number,
+  getDefaultScalarArgValue: GetDefaultScalarArgValue,
+  scalarInputs: ScalarInputs,
+  makeDefaultArg: ?MakeDefaultArg,
+  onRunOperation: void => void,
+  showTypes: boolean,
+  onShowDoc: ?OnShowDoc,
+  styleConfig: StyleConfig,
+  definition: FragmentDefinitionNode | OperationDefinitionNode,
+  variables: Variables,
+  availableFragments: $ReadOnlyArray<FragmentDefinitionNode>,
+  isBetaField: ?IsBetaField,
+  treeWindow: TreeWindow,
+  // Selected fields to point out for pushing the operation over a limit
+  overLimitFields: $ReadOnlyArray<FieldNode>,
+  validation: Validation,
+|};
+
+class AbstractView extends React.PureComponent<
+  AbstractViewProps,
+  {showDirectives: boolean},
+> {
+  state = {showDirectives: false};
+  _previousSelection: ?InlineFragmentNode;
+  _addFragment = () => {
+    const selectionSet = (this.props.autoSelectDepth > 0 &&
+      defaultSelectionSet(
+        this.props.getDefaultFieldNames,
+        this.props.getDefaultScalarArgValue,
+        this.props.makeDefaultArg,
+        this.props.implementingType,
+        this.props.autoSelectDepth,
+        [],
+      )) || {
+      kind: 'SelectionSet',
+      selections: this.props
+        .getDefaultFieldNames(this.props.implementingType)
+        .map(fieldName => ({
+          kind: 'Field',
+          name: {kind: 'Name', value: fieldName},
+        })),
+    };
+    this.props.modifySelections([
+      ...this.props.selections,
+      this._previousSelection || {
+        kind: 'InlineFragment',
+        typeCondition: {
+          kind: 'NamedType',
+          name: {kind: 'Name', value: this.props.implementingType.name},
+        },
+        selectionSet,
+      },
+    ]);
+  };
+  _removeFragment = () => {
+    const thisSelection = this._getSelection();
+    this._previousSelection = thisSelection;
+    this.props.modifySelections(
+      this.props.selections.filter(s => s !== thisSelection),
+    );
+  };
+  _getSelection = (): ?InlineFragmentNode => {
+    const selection = this.props.selections.find(
+      selection =>
+        selection.kind === 'InlineFragment' &&
+        selection.typeCondition &&
+        this.props.implementingType.name === selection.typeCondition.name.value,
+    );
+    if (!selection) {
+      return null;
+    }
+    if (selection.kind === 'InlineFragment') {
+      return selection;
+    }
+  };
+
+  _modifyChildSelections = (
+    selections: Selections,
+    options?: ?ModifyOptions,
+  ) => {
+    const thisSelection = this._getSelection();
+    this.props.modifySelections(
+      this.props.selections.map(selection => {
+        if (selection === thisSelection) {
+          return {
+            directives: selection.directives,
+            kind: 'InlineFragment',
+            typeCondition: {
+              kind: 'NamedType',
+              name: {kind: 'Name', value: this.props.implementingType.name},
+            },
+            selectionSet: {
+              kind: 'SelectionSet',
+              selections,
+            },
+          };
+        }
+        return selection;
+      }),
+      options,
+    );
+  };
+
+  _setDirectives = (
+    directives: $ReadOnlyArray<DirectiveNode>,
+    options?: ?ModifyOptions,
+  ) => {
+    const thisSelection = this._getSelection();
+    if (!thisSelection) {
+      console.error('Missing selection when setting directives', directives);
+      return;
+    }
+    this.props.modifySelections(
+      this.props.selections.map(selection =>
+        selection === thisSelection
+          ? {...thisSelection, directives}
+          : selection,
+      ),
+      options,
+    );
+  };
+
+  _toggleDirectives = () => {
+    this.setState({showDirectives: !this.state.showDirectives});
+  };
+
+  render() {
+    const {
+      implementingType,
+      schema,
+      getDefaultFieldNames,
+      styleConfig,
+    } = this.props;
+    const selection = this._getSelection();
+    const fields = implementingType.getFields();
+    const childSelections = selection
+      ? selection.selectionSet
+        ? selection.selectionSet.selections
+        : []
+      : [];
+    const directives = (selection && selection.directives) || [];
+    return (
+      <div
+        className="graphiql-explorer-inline-fragment"
+        {...treeItemProps(
+          {
+            isExpanded: !!selection,
+            isActive: !!selection,
+            toggle: selection ? this._removeFragment : this._addFragment,
+          },
+          `... on ${implementingType.name}`,
+        )}>
+        <span
+          className="graphiql-explorer-toggle"
+          onClick={selection ? this._removeFragment : this._addFragment}>
+          <Checkbox
+            checked={!!selection}
+            styleConfig={this.props.styleConfig}
+          />
+          <span className="graphiql-explorer-atom">
+            {this.props.implementingType.name}
+          </span>
+        </span>
+        {selection ? (
+          <DirectivesToggle
+            active={this.state.showDirectives || directives.length > 0}
+            onClick={this._toggleDirectives}
+            styleConfig={styleConfig}
+          />
+        ) : null}
+        {selection && (this.state.showDirectives || directives.length) ? (
+          <DirectivesView
+            validation={this.props.validation}
+            location="INLINE_FRAGMENT"
+            directives={directives}
+            modifyDirectives={this._setDirectives}
+            schema={schema}
+            scalarInputs={this.props.scalarInputs}
+            onRunOperation={this.props.onRunOperation}
+            showTypes={this.props.showTypes}
+            onShowDoc={this.props.onShowDoc}
+            styleConfig={styleConfig}
+            definition={this.props.definition}
+            variables={this.props.variables}
+          />
+        ) : null}
+        {selection ? (
+          <div role="group" className="graphiql-explorer-children">
+            <FieldGroupsView
+              groups={groupFields(fields, this.props.isBetaField)}
+              treeWindow={this.props.treeWindow}
+              selections={childSelections}
+              renderField={fieldName =>
+                fieldOccurrences(childSelections, fieldName).map(occurrence => (
+                  <FieldView
+                    validation={this.props.validation}
+                    key={`${fieldName}:${occurrence}`}
+                    field={fields[fieldName]}
+                    occurrence={occurrence}
+                    selections={childSelections}
+                    modifySelections={this._modifyChildSelections}
+                    schema={schema}
+                    getDefaultFieldNames={getDefaultFieldNames}
+                    autoSelectDepth={this.props.autoSelectDepth}
+                    getDefaultScalarArgValue={
+                      this.props.getDefaultScalarArgValue
+                    }
+                    scalarInputs={this.props.scalarInputs}
+                    makeDefaultArg={this.props.makeDefaultArg}
+                    onRunOperation={this.props.onRunOperation}
+                    showTypes={this.props.showTypes}
+                    onShowDoc={this.props.onShowDoc}
+                    styleConfig={this.props.styleConfig}
+                    definition={this.props.definition}
+                    variables={this.props.variables}
+                    availableFragments={this.props.availableFragments}
+                    isBetaField={this.props.isBetaField}
+                    treeWindow={this.props.treeWindow}
+                    overLimitFields={this.props.overLimitFields}
+                  />
+                ))
+              }
+              styleConfig={styleConfig}
+            />
+            {this.props.availableFragments
+              .filter(fragment =>
+                fragmentFitsType(schema, fragment, implementingType),
+              )
+              .map(fragment => (
+                <FragmentView
+                  key={fragment.name.value}
+                  fragment={fragment}
+                  selections={childSelections}
+                  modifySelections={this._modifyChildSelections}
+                  styleConfig={styleConfig}
+                />
+              ))}
+            <UnknownSelectionsView
+              schema={schema}
+              parentType={implementingType}
+              selections={childSelections}
+              modifySelections={this._modifyChildSelections}
+              availableFragments={this.props.availableFragments}
+              styleConfig={styleConfig}
+            />
+          </div>
+        ) : null}
+      </div>
+    );
+  }
+}
+
+type AliasInputProps = {|
+  fieldName: string,
+  alias: ?string,
+  // Called with null when the alias is cleared
+  onChange: (alias: ?string) => void,
+|};
+
+class AliasInput extends React.PureComponent<
+  AliasInputProps,
+  {draft: ?string},
+> {
+  // Keeps what the user typed while it isn't a valid name, so that the query
+  // keeps the last valid alias and still parses
+  state = {draft: null};
+
+  _onChange = event => {
+    const draft = event.target.value;
+    this.setState({draft});
+    const alias = draft.trim();
+    if (!alias || NAME_PATTERN.test(alias)) {
+      this.props.onChange(alias || null);
+    }
+  };
+
+  _onBlur = () => {
+    this.setState({draft: null});
+  };
+
+  render() {
+    const {draft} = this.state;
+    const text = draft != null ? draft : this.props.alias || '';
+    const isValid = !text.trim() || NAME_PATTERN.test(text.trim());
+    return (
+      <input
+        className={
+          isValid
+            ? 'graphiql-explorer-input'
+            : 'graphiql-explorer-input graphiql-explorer-warning'
+        }
+        title={
+          isValid
+            ? undefined
+            : "Aliases can only have letters, digits and underscores, and can't start with a digit"
+        }
+        style={{width: `${Math.max(4, text.length)}ch`}}
+        data-field-alias={this.props.fieldName}
+        placeholder="alias"
+        value={text}
+        onClick={event => event.stopPropagation()}
+        onChange={this._onChange}
+        onBlur={this._onBlur}
+      />
+    );
+  }
+}
+
+type FieldViewProps = {|
+  field: Field,
+  // Which of the (possibly aliased) selections of `field` this view edits
+  occurrence: number,
+  selections: Selections,
+  modifySelections: (selections: Selections, options?: ?ModifyOptions) => void,
+  schema: GraphQLSchema,
+  getDefaultFieldNames: (type: GraphQLObjectType) => Array<string>,
+  // How many levels of default subfields to add along with a new field
+  autoSelectDepth: number,
+  getDefaultScalarArgValue: GetDefaultScalarArgValue,
+  scalarInputs: ScalarInputs,
+  makeDefaultArg: ?MakeDefaultArg,
+  onRunOperation: void => void,
+  showTypes: boolean,
+  onShowDoc: ?OnShowDoc,
+  styleConfig: StyleConfig,
+  definition: FragmentDefinitionNode | OperationDefinitionNode,
+  variables: Variables,
+  availableFragments: $ReadOnlyArray<FragmentDefinitionNode>,
+  isBetaField: ?IsBetaField,
+  treeWindow: TreeWindow,
+  // Selected fields to point out for pushing the operation over a limit
+  overLimitFields: $ReadOnlyArray<FieldNode>,
+  validation: Validation,
+|};
+
+// One entry per selection of `fieldName`, or a single entry for the unselected
+// field, so that every aliased selection gets its own FieldView.
+function fieldOccurrences(
+  selections: Selections,
+  fieldName: string,
+): Array<number> {
+  const count = selections.filter(
+    selection =>
+      selection.kind === 'Field' && selection.name.value === fieldName,
+  ).length;
+  const occurrences = [];
+  for (let i = 0; i < Math.max(1, count); i++) {
+    occurrences.push(i);
+  }
+  return occurrences;
+}
+
+function uniqueResponseKey(selections: Selections, fieldName: string): string {
+  const takenKeys = selections.map(selection =>
+    selection.kind === 'Field'
+      ? (selection.alias || selection.name).value
+      : null,
+  );
+  let suffix = 2;
+  while (takenKeys.indexOf(`${fieldName}${suffix}`) !== -1) {
+    suffix += 1;
+  }
+  return `${fieldName}${suffix}`;
+}
+
+// The props an unselected field doesn't render, which change with every edit
+// of the query
+const UNSELECTED_FIELD_IGNORED_PROPS = [
+  'selections',
+  'modifySelections',
+  'definition',
+  'variables',
+  'availableFragments',
+  'overLimitFields',
+  'validation',
+];
+
+function fieldSelection(props: FieldViewProps): ?FieldNode {
+  const selection = props.selections.filter(
+    selection =>
+      selection.kind === 'Field' && props.field.name === selection.name.value,
+  )[props.occurrence];
+  if (selection && selection.kind === 'Field') {
+    return selection;
+  }
+  return null;
+}
+
+class FieldView extends React.Component<
+  FieldViewProps,
+  {showDirectives: boolean},
+> {
+  state = {showDirectives: false};
+
+  // Most fields of a large schema aren't selected, so skip re-rendering them
+  // when another part of the query changes
+  shouldComponentUpdate(
+    nextProps: FieldViewProps,
+    nextState: {showDirectives: boolean},
+  ) {
+    if (
+      nextState !== this.state ||
+      fieldSelection(this.props) ||
+      fieldSelection(nextProps)
+    ) {
+      return true;
+    }
+    return Object.keys(nextProps).some(
+      key =>
+        UNSELECTED_FIELD_IGNORED_PROPS.indexOf(key) === -1 &&
+        nextProps[key] !== this.props[key],
+    );
+  }
+
+  _previousSelection: ?SelectionNode;
+  _addAllFieldsToSelections = rawSubfields => {
+    const subFields: Array<FieldNode> = !!rawSubfields
+      ? Object.keys(rawSubfields).map(fieldName => {
+          return {
+            kind: 'Field',
+            name: {kind: 'Name', value: fieldName},
+            arguments: [],
+          };
+        })
+      : [];
+
+    const subSelectionSet: SelectionSetNode = {
+      kind: 'SelectionSet',
+      selections: subFields,
+    };
+
+    const selection = this._getSelection();
+    const nextSelection: FieldNode = selection
+      ? {
+          ...selection,
+          selectionSet: subSelectionSet,
+        }
+      : {
+          kind: 'Field',
+          name: {kind: 'Name', value: this.props.field.name},
+          arguments: defaultArgs(
+            this.props.getDefaultScalarArgValue,
+            this.props.makeDefaultArg,
+            this.props.field,
+          ),
+          selectionSet: subSelectionSet,
+        };
+
+    // Replace the current selection set for the target field in place
+    this.props.modifySelections(
+      replaceSelection(this.props.selections, selection, nextSelection),
+    );
+  };
+
+  // Re-checking a field brings back the subfields it had, unless `restore`
+  // is off
+  _addFieldToSelections = (depth: number, restore: boolean) => {
+    this.props.modifySelections(
+      replaceSelection(
+        this.props.selections,
+        null,
+        (restore && this._previousSelection) ||
+          newFieldSelection(
+            this.props.field,
+            {
+              getDefaultFieldNames: this.props.getDefaultFieldNames,
+              getDefaultScalarArgValue: this.props.getDefaultScalarArgValue,
+              makeDefaultArg: this.props.makeDefaultArg,
+            },
+            depth,
+          ),
+      ),
+    );
+  };
+
+  _handleUpdateSelections = event => {
+    const selection = this._getSelection();
+    if (selection && !event.altKey) {
+      this._removeFieldFromSelections();
+    } else {
+      const fieldType = getNamedType(this.props.field.type);
+      const rawSubfields = isObjectType(fieldType) && fieldType.getFields();
+
+      const shouldSelectAllSubfields = !!rawSubfields && event.altKey;
+
+      // Shift-click fills in default subfields one level deeper, even when
+      // the field had others before
+      shouldSelectAllSubfields
+        ? this._addAllFieldsToSelections(rawSubfields)
+        : this._addFieldToSelections(
+            event.shiftKey
+              ? this.props.autoSelectDepth + 1
+              : this.props.autoSelectDepth,
+            !event.shiftKey,
+          );
+    }
+  };
+
+  _removeFieldFromSelections = () => {
+    const previousSelection = this._getSelection();
+    this._previousSelection = previousSelection;
+    this.props.modifySelections(
+      replaceSelection(this.props.selections, previousSelection, null),
+    );
+  };
+  _getSelection = (): ?FieldNode => fieldSelection(this.props);
+
+  _setAlias = (alias: ?string) => {
+    const selection = this._getSelection();
+    if (!selection) {
+      console.error('Missing selection when setting alias');
+      return;
+    }
+    const newSelection: FieldNode = {
+      ...selection,
+      alias: alias ? {kind: 'Name', value: alias} : undefined,
+    };
+    this.props.modifySelections(
+      replaceSelection(this.props.selections, selection, newSelection),
+    );
+  };
+
+  _duplicateWithAlias = () => {
+    const {selections, field} = this.props;
+    const selection = this._getSelection();
+    if (!selection) {
+      console.error('Missing selection when duplicating field');
+      return;
+    }
+    // Without the location of the original, so that it's printed as a new
+    // field rather than as a copy of the original's text
+    const duplicate: FieldNode = {
+      ...selection,
+      loc: undefined,
+      alias: {
+        kind: 'Name',
+        value: uniqueResponseKey(selections, field.name),
+      },
+    };
+    const index = selections.indexOf(selection);
+    this.props.modifySelections([
+      ...selections.slice(0, index + 1),
+      duplicate,
+      ...selections.slice(index + 1),
+    ]);
+  };
+
+  _setArguments = (
+    argumentNodes: $ReadOnlyArray<ArgumentNode>,
+    options?: ?ModifyOptions,
+  ) => {
+    const selection = this._getSelection();
+    if (!selection) {
+      console.error('Missing selection when setting arguments', argumentNodes);
+      return;
+    }
+    const newSelection: FieldNode = {...selection, arguments: argumentNodes};
+    this.props.modifySelections(
+      replaceSelection(this.props.selections, selection, newSelection),
+      options,
+    );
+  };
+
+  _setDirectives = (
+    directives: $ReadOnlyArray<DirectiveNode>,
+    options?: ?ModifyOptions,
+  ) => {
+    const selection = this._getSelection();
+    if (!selection) {
+      console.error('Missing selection when setting directives', directives);
+      return;
+    }
+    const newSelection: FieldNode = {...selection, directives};
+    this.props.modifySelections(
+      replaceSelection(this.props.selections, selection, newSelection),
+      options,
+    );
+  };
+
+  _toggleDirectives = () => {
+    this.setState({showDirectives: !this.state.showDirectives});
+  };
+
+  _addDefaultSubfields = () => {
+    const selectionSet = defaultSelectionSet(
+      this.props.getDefaultFieldNames,
+      this.props.getDefaultScalarArgValue,
+      this.props.makeDefaultArg,
+      getNamedType(this.props.field.type),
+      Math.max(1, this.props.autoSelectDepth),
+      [],
+    );
+    if (selectionSet) {
+      this._modifyChildSelections(selectionSet.selections);
+    }
+  };
+
+  _fillRequiredArguments = () => {
+    const selection = this._getSelection();
+    if (!selection) {
+      return;
+    }
+    const argumentNodes = selection.arguments || [];
+    const missingArgs = defaultArgs(
+      this.props.getDefaultScalarArgValue,
+      null,
+      this.props.field,
+    ).filter(
+      defaultArg =>
+        !argumentNodes.some(
+          argumentNode => argumentNode.name.value === defaultArg.name.value,
+        ),
+    );
+    this._setArguments([...argumentNodes, ...missingArgs]);
+  };
+
+  // The obvious fixes for what `validate` found wrong with this field
+  _getQuickFixes = (selection: FieldNode): Array<QuickFix> => {
+    const quickFixes = [];
+    const type = getNamedType(this.props.field.type);
+    if (
+      isCompositeType(type) &&
+      (!selection.selectionSet || !selection.selectionSet.selections.length)
+    ) {
+      quickFixes.push({
+        label: 'Add default subfields',
+        fix: this._addDefaultSubfields,
+      });
+    }
+    const argumentNodes = selection.arguments || [];
+    if (
+      this.props.field.args.some(
+        arg =>
+          isRequiredArgument(arg) &&
+          !argumentNodes.some(
+            argumentNode => argumentNode.name.value === arg.name,
+          ),
+      )
+    ) {
+      quickFixes.push({
+        label: 'Fill required arguments',
+        fix: this._fillRequiredArguments,
+      });
+    }
+    return quickFixes;
+  };
+
+  _modifyChildSelections = (
+    selections: Selections,
+    options?: ?ModifyOptions,
+  ) => {
+    const thisSelection = this._getSelection();
+    this.props.modifySelections(
+      this.props.selections.map(selection => {
+        if (selection === thisSelection) {
+          if (selection.kind !== 'Field') {
+            throw new Error('invalid selection');
+          }
+          const newSelection: FieldNode = {
+            ...selection,
+            selectionSet: {
+              ...selection.selectionSet,
+              kind: 'SelectionSet',
+              selections,
+            },
+          };
+          return newSelection;
+        }
+        return selection;
+      }),
+      options,
+    );
+  };
+
+  render() {
+    const {field, schema, getDefaultFieldNames, styleConfig} = this.props;
+    const selection = this._getSelection();
+    const type = unwrapOutputType(field.type);
+    const args = field.args.sort((a, b) => a.name.localeCompare(b.name));
+    const directives = (selection && selection.directives) || [];
+    const isCompositeField =
+      isObjectType(type) || isInterfaceType(type) || isUnionType(type);
+    const treeItem = treeItemProps(
+      {
+        isExpanded: isCompositeField ? !!selection : null,
+        isActive: !!selection,
+        toggle: this._handleUpdateSelections,
+      },
+      selection && selection.alias
+        ? `${selection.alias.value}: ${field.name}`
+        : field.name,
+    );
+    let className = 'graphiql-explorer-node';
+
+    if (field.isDeprecated) {
+      className += ' deprecated';
+    }
+    const isOverLimit =
+      !!selection && this.props.overLimitFields.indexOf(selection) !== -1;
+    if (isOverLimit) {
+      className += ' graphiql-explorer-over-limit';
+    }
+    const errors =
+      (selection && this.props.validation.nodeErrors.get(selection)) ||
+      NO_VALIDATION_ERRORS;
+    if (errors.length) {
+      className += ' graphiql-explorer-invalid';
+    }
+
+    const node = (
+      <div className={className}>
+        <span
+          className="graphiql-explorer-toggle"
+          title={
+            isOverLimit
+              ? 'This field puts the operation over its complexity limit'
+              : undefined
+          }
+          data-field-name={field.name}
+          data-field-type={type.name}
+          onClick={this._handleUpdateSelections}>
+          {isObjectType(type) ? (
+            <span>
+              {!!selection
+                ? this.props.styleConfig.arrowOpen
+                : this.props.styleConfig.arrowClosed}
+            </span>
+          ) : null}
+          {isObjectType(type) ? null : (
+            <Checkbox
+              checked={!!selection}
+              styleConfig={this.props.styleConfig}
+            />
+          )}
+          {selection && (selection.alias || this.props.occurrence > 0) ? (
+            <span className="graphiql-explorer-qualifier">
+              <AliasInput
+                fieldName={field.name}
+                alias={selection.alias ? selection.alias.value : null}
+                onChange={this._setAlias}
+              />
+              :{' '}
+            </span>
+          ) : null}
+          <DocTrigger
+            item={field}
+            showTypes={this.props.showTypes}
+            onShowDoc={this.props.onShowDoc}>
+            <span className="graphiql-explorer-property">{field.name}</span>
+          </DocTrigger>
+          {field.isDeprecated ? (
+            <DeprecationNote reason={field.deprecationReason} />
+          ) : null}
+        </span>
+        {selection ? (
+          <span
+            className="graphiql-explorer-action"
+            title="Duplicate with alias"
+            data-field-duplicate={field.name}
+            onClick={this._duplicateWithAlias}>
+            + alias
+          </span>
+        ) : null}
+        {selection ? (
+          <ValidationErrorsView
+            errors={errors}
+            quickFixes={
+              errors.length ? this._getQuickFixes(selection) : NO_QUICK_FIXES
+            }
+          />
+        ) : null}
+        {selection ? (
+          <DirectivesToggle
+            active={this.state.showDirectives || directives.length > 0}
+            onClick={this._toggleDirectives}
+            styleConfig={styleConfig}
+          />
+        ) : null}
+        {selection && (this.state.showDirectives || directives.length) ? (
+          <DirectivesView
+            validation={this.props.validation}
+            location="FIELD"
+            directives={directives}
+            modifyDirectives={this._setDirectives}
+            schema={schema}
+            scalarInputs={this.props.scalarInputs}
+            onRunOperation={this.props.onRunOperation}
+            showTypes={this.props.showTypes}
+            onShowDoc={this.props.onShowDoc}
+            styleConfig={styleConfig}
+            definition={this.props.definition}
+            variables={this.props.variables}
+          />
+        ) : null}
+        {selection && (args.length || (selection.arguments || []).length) ? (
+          <div role="group" className="graphiql-explorer-children">
+            <ArgGroupsView
+              args={args}
+              argumentNodes={selection.arguments || []}
+              renderArg={arg => (
+                <ArgView
+                  validation={this.props.validation}
+                  key={arg.name}
+                  parentField={field}
+                  arg={arg}
+                  selection={selection}
+                  modifyArguments={this._setArguments}
+                  getDefaultScalarArgValue={this.props.getDefaultScalarArgValue}
+                  scalarInputs={this.props.scalarInputs}
+                  makeDefaultArg={this.props.makeDefaultArg}
+                  onRunOperation={this.props.onRunOperation}
+                  showTypes={this.props.showTypes}
+                  onShowDoc={this.props.onShowDoc}
+                  styleConfig={this.props.styleConfig}
+                  definition={this.props.definition}
+                  variables={this.props.variables}
+                />
+              )}
+              styleConfig={styleConfig}
+            />
+            <UnknownArgumentsView
+              args={args}
+              argumentNodes={selection.arguments || []}
+              setArguments={this._setArguments}
+              styleConfig={styleConfig}
+            />
+          </div>
+        ) : null}
+      </div>
+    );
+
+    if (
+      selection &&
+      (isObjectType(type) || isInterfaceType(type) || isUnionType(type))
+    ) {
+      const fields = isUnionType(type) ? {} : type.getFields();
+      const childSelections = selection
+        ? selection.selectionSet
+          ? selection.selectionSet.selections
+          : []
+        : [];
+      return (
+        <div className="graphiql-explorer-field" {...treeItem}>
+          {node}
+          <div role="group" className="graphiql-explorer-children">
+            <FieldGroupsView
+              groups={groupFields(fields, this.props.isBetaField)}
+              treeWindow={this.props.treeWindow}
+              selections={childSelections}
+              renderField={fieldName =>
+                fieldOccurrences(childSelections, fieldName).map(occurrence => (
+                  <FieldView
+                    validation={this.props.validation}
+                    key={`${fieldName}:${occurrence}`}
+                    field={fields[fieldName]}
+                    occurrence={occurrence}
+                    selections={childSelections}
+                    modifySelections={this._modifyChildSelections}
+                    schema={schema}
+                    getDefaultFieldNames={getDefaultFieldNames}
+                    autoSelectDepth={this.props.autoSelectDepth}
+                    getDefaultScalarArgValue={
+                      this.props.getDefaultScalarArgValue
+                    }
+                    scalarInputs={this.props.scalarInputs}
+                    makeDefaultArg={this.props.makeDefaultArg}
+                    onRunOperation={this.props.onRunOperation}
+                    showTypes={this.props.showTypes}
+                    onShowDoc={this.props.onShowDoc}
+                    styleConfig={this.props.styleConfig}
+                    definition={this.props.definition}
+                    variables={this.props.variables}
+                    availableFragments={this.props.availableFragments}
+                    isBetaField={this.props.isBetaField}
+                    treeWindow={this.props.treeWindow}
+                    overLimitFields={this.props.overLimitFields}
+                  />
+                ))
+              }
+              styleConfig={styleConfig}
+            />
+            {isInterfaceType(type) || isUnionType(type)
+              ? schema
+                  .getPossibleTypes(type)
+                  .map(type => (
+                    <AbstractView
+                      validation={this.props.validation}
+                      key={type.name}
+                      implementingType={type}
+                      selections={childSelections}
+                      modifySelections={this._modifyChildSelections}
+                      schema={schema}
+                      getDefaultFieldNames={getDefaultFieldNames}
+                      autoSelectDepth={this.props.autoSelectDepth}
+                      getDefaultScalarArgValue={
+                        this.props.getDefaultScalarArgValue
+                      }
+                      scalarInputs={this.props.scalarInputs}
+                      makeDefaultArg={this.props.makeDefaultArg}
+                      onRunOperation={this.props.onRunOperation}
+                      showTypes={this.props.showTypes}
+                      onShowDoc={this.props.onShowDoc}
+                      styleConfig={this.props.styleConfig}
+                      definition={this.props.definition}
+                      variables={this.props.variables}
+                      availableFragments={this.props.availableFragments}
+                      isBetaField={this.props.isBetaField}
+                      treeWindow={this.props.treeWindow}
+                      overLimitFields={this.props.overLimitFields}
+                    />
+                  ))
+              : null}
+            {this.props.availableFragments
+              .filter(fragment => fragmentFitsType(schema, fragment, type))
+              .map(fragment => (
+                <FragmentView
+                  key={fragment.name.value}
+                  fragment={fragment}
+                  selections={childSelections}
+                  modifySelections={this._modifyChildSelections}
+                  styleConfig={styleConfig}
+                />
+              ))}
+            <UnknownSelectionsView
+              schema={schema}
+              parentType={type}
+              selections={childSelections}
+              modifySelections={this._modifyChildSelections}
+              availableFragments={this.props.availableFragments}
+              styleConfig={styleConfig}
+            />
+          </div>
+        </div>
+      );
+    }
+    return (
+      <div className="graphiql-explorer-field" {...treeItem}>
+        {node}
+      </div>
+    );
+  }
+}
+
+// Whether the text has nothing but whitespace and comments, like the welcome
+// text GraphiQL starts with
+function isBlankQuery(text: string): boolean {
+  try {
+    return createLexer(new Source(text)).advance().kind === TokenKind.EOF;
+  } catch (e) {
+    return false;
+  }
+}
+
+function parseQuery(text: string): ?DocumentNode | GraphQLError {
+  try {
+    if (isBlankQuery(text)) {
+      return null;
+    }
+    // Keep locations so that edits can reuse the original text, see
+    // `printDocumentEdit`
+    return parse(text);
+  } catch (e) {
+    return e;
+  }
+}
+
+const DEFAULT_OPERATION = {
+  kind: 'OperationDefinition',
+  operation: 'query',
+  variableDefinitions: [],
+  name: {kind: 'Name', value: 'MyQuery'},
+  directives: [],
+  selectionSet: {
+    kind: 'SelectionSet',
+    selections: [],
+  },
+};
+const DEFAULT_DOCUMENT = {
+  kind: 'Document',
+  definitions: [DEFAULT_OPERATION],
+};
+
+function operationKey(
+  operation: OperationDefinitionNode | FragmentDefinitionNode,
+  index: number,
+): string {
+  const kind =
+    operation.kind === 'FragmentDefinition' ? 'fragment' : operation.operation;
+  return `${kind}-${operation.name ? operation.name.value : index}`;
+}
+
+// How many queries each explorer keeps parsed, e.g. to switch back and forth
+// between tabs without parsing again
+const PARSE_CACHE_SIZE = 10;
+
+// Parse results by query text, least recently used first. Each explorer has
+// its own, so that explorers on the same page don't evict each other's
+// queries or fall back to each other's documents.
+class ParseCache {
+  _results: Map<string, DocumentNode | GraphQLError> = new Map();
+  _lastDocument: DocumentNode = DEFAULT_DOCUMENT;
+
+  _parse(query: string): ?DocumentNode | GraphQLError {
+    const cached = this._results.get(query);
+    if (cached) {
+      this._results.delete(query);
+      this._results.set(query, cached);
+      return cached;
+    }
+    const result = parseQuery(query);
+    if (result) {
+      this._results.set(query, result);
+      if (this._results.size > PARSE_CACHE_SIZE) {
+        const oldest = this._results.keys().next().value;
+        if (oldest != null) {
+          this._results.delete(oldest);
+        }
+      }
+    }
+    return result;
+  }
+
+  document(query: string): DocumentNode {
+    const result = this._parse(query);
+    if (!result) {
+      return DEFAULT_DOCUMENT;
+    } else if (result instanceof Error) {
+      // Most likely a temporarily invalid query while they type
+      return this._lastDocument;
+    } else {
+      this._lastDocument = result;
+      return result;
+    }
+  }
+
+  error(query: string): ?GraphQLError {
+    const result = this._parse(query);
+    return result instanceof Error ? result : null;
+  }
+}
+
+// Arguments that set how many items a list field returns
+const LIST_SIZE_ARGUMENTS = ['first', 'last', 'limit'];
+
+// Counts one per field, with the selections of a list field counted once for
+// each item it asks for
+function defaultGetFieldCost(
+  field: Field,
+  args: {[argName: string]: mixed},
+  childCost: number,
+): number {
+  const listSize = LIST_SIZE_ARGUMENTS.map(name => args[name]).find(
+    value => typeof value === 'number',
+  );
+  return 1 + (typeof listSize === 'number' ? listSize : 1) * childCost;
+}
+
+type Measurement = {|
+  depth: number,
+  fieldCount: number,
+  cost: number,
+|};
+
+type MeasuredField = {|
+  node: FieldNode,
+  parent: ?MeasuredField,
+  depth: number,
+  // What the field costs along with its selections
+  cost: number,
+  // How many times the cost of its selections counts, e.g. its `first`
+  childScale: number,
+|};
+
+type ComplexityContext = {|
+  schema: GraphQLSchema,
+  fragments: $ReadOnlyArray<FragmentDefinitionNode>,
+  variables: Variables,
+  getFieldCost: GetFieldCost,
+  // Every field measured, parents before their children
+  fields: Array<MeasuredField>,
+|};
+
+function measureSelections(
+  context: ComplexityContext,
+  parentType: ?GraphQLNamedType,
+  parent: ?MeasuredField,
+  selections: Selections,
+  depth: number,
+  // Guards against fragments that spread themselves
+  fragmentNames: Array<string>,
+): Measurement {
+  const {schema} = context;
+  let result = {depth: depth - 1, fieldCount: 0, cost: 0};
+  const add = (measurement: Measurement) => {
+    result = {
+      depth: Math.max(result.depth, measurement.depth),
+      fieldCount: result.fieldCount + measurement.fieldCount,
+      cost: result.cost + measurement.cost,
+    };
+  };
+  selections.forEach(selection => {
+    if (selection.kind === 'Field') {
+      const measured = {
+        node: selection,
+        parent,
+        depth,
+        cost: 0,
+        childScale: 1,
+      };
+      context.fields.push(measured);
+      const field =
+        parentType && (isObjectType(parentType) || isInterfaceType(parentType))
+          ? parentType.getFields()[selection.name.value]
+          : null;
+      const children = selection.selectionSet
+        ? measureSelections(
+            context,
+            field ? getNamedType(field.type) : null,
+            measured,
+            selection.selectionSet.selections,
+            depth + 1,
+            fragmentNames,
+          )
+        : {depth, fieldCount: 0, cost: 0};
+      const args = {};
+      (selection.arguments || []).forEach(arg => {
+        args[arg.name.value] = valueFromASTUntyped(
+          arg.value,
+          context.variables,
+        );
+      });
+      // Fields the schema doesn't know only count themselves
+      const cost = field
+        ? context.getFieldCost(field, args, children.cost)
+        : 1 + children.cost;
+      if (field && children.cost > 0) {
+        measured.childScale =
+          (cost - context.getFieldCost(field, args, 0)) / children.cost;
+      }
+      measured.cost = cost;
+      add({
+        depth: Math.max(depth, children.depth),
+        fieldCount: 1 + children.fieldCount,
+        cost,
+      });
+    } else if (selection.kind === 'InlineFragment') {
+      add(
+        measureSelections(
+          context,
+          selection.typeCondition
+            ? schema.getType(selection.typeCondition.name.value)
+            : parentType,
+          parent,
+          selection.selectionSet.selections,
+          depth,
+          fragmentNames,
+        ),
+      );
+    } else if (selection.kind === 'FragmentSpread') {
+      const spreadName = selection.name.value;
+      const fragment = context.fragments.find(
+        fragment => fragment.name.value === spreadName,
+      );
+      if (fragment && fragmentNames.indexOf(spreadName) === -1) {
+        add(
+          measureSelections(
+            context,
+            schema.getType(fragment.typeCondition.name.value),
+            parent,
+            fragment.selectionSet.selections,
+            depth,
+            [...fragmentNames, spreadName],
+          ),
+        );
+      }
+    }
+  });
+  return result;
+}
+
+type Complexity = {|
+  ...Measurement,
+  isOverLimit: boolean,
+  overLimitFields: Array<FieldNode>,
+|};
+
+// Measures how deep, how many fields and how costly an operation is. When it
+// goes past `limits`, `overLimitFields` are the fields beyond the depth or
+// field count limit, and the costliest fields, enough of them to bring the
+// cost back under the limit when unchecked.
+function operationComplexity(
+  context: ComplexityContext,
+  type: ?GraphQLNamedType,
+  definition: FragmentDefinitionNode | OperationDefinitionNode,
+  limits: ComplexityLimits,
+): Complexity {
+  const selections = definition.selectionSet.selections;
+  const measurement = measureSelections(context, type, null, selections, 1, []);
+  const fields = context.fields;
+  const overLimitFields = [];
+  const {maxDepth, maxFields, maxCost} = limits;
+
+  if (maxDepth != null && measurement.depth > maxDepth) {
+    fields
+      .filter(({depth}) => depth === maxDepth + 1)
+      .forEach(({node}) => overLimitFields.push(node));
+  }
+  if (maxFields != null && measurement.fieldCount > maxFields) {
+    fields.slice(maxFields).forEach(({node}) => overLimitFields.push(node));
+  }
+  if (maxCost != null && measurement.cost > maxCost) {
+    // What unchecking each field takes off the total, so a field under a
+    // `first: 10` list counts ten times
+    const scales = new Map();
+    fields.forEach(measured => {
+      const {parent} = measured;
+      scales.set(
+        measured,
+        parent ? (scales.get(parent) || 0) * parent.childScale : 1,
+      );
+    });
+    const saving = measured => measured.cost * (scales.get(measured) || 0);
+    const ranked = fields
+      .slice()
+      .sort((a, b) => saving(b) - saving(a) || b.depth - a.depth);
+    const marked = new Set();
+    let excess = measurement.cost - maxCost;
+    for (let i = 0; i < ranked.length && excess > 0; i++) {
+      let ancestor = ranked[i].parent;
+      while (ancestor && !marked.has(ancestor)) {
+        ancestor = ancestor.parent;
+      }
+      // Unchecking a marked parent already takes its selections with it
+      if (!ancestor) {
+        marked.add(ranked[i]);
+        overLimitFields.push(ranked[i].node);
+        excess -= saving(ranked[i]);
+      }
+    }
+  }
+
+  return {
+    ...measurement,
+    isOverLimit:
+      (maxDepth != null && measurement.depth > maxDepth) ||
+      (maxFields != null && measurement.fieldCount > maxFields) ||
+      (maxCost != null && measurement.cost > maxCost),
+    overLimitFields: overLimitFields.filter(
+      (node, index) => overLimitFields.indexOf(node) === index,
+    ),
+  };
+}
+
+function ComplexityView({
+  complexity,
+  limits,
+}: {
+  complexity: Complexity,
+  limits: ComplexityLimits,
+}) {
+  const {depth, fieldCount, cost} = complexity;
+  const limit = (value: number, max: ?number) =>
+    max != null ? `${value} of at most ${max}` : String(value);
+  return (
+    <div
+      className={
+        complexity.isOverLimit
+          ? 'graphiql-explorer-complexity graphiql-explorer-complexity-warning'
+          : 'graphiql-explorer-complexity'
+      }
+      title={[
+        `Depth: ${limit(depth, limits.maxDepth)}`,
+        `Fields: ${limit(fieldCount, limits.maxFields)}`,
+        `Estimated cost: ${limit(cost, limits.maxCost)}`,
+      ].join('\n')}
+      data-complexity>
+      {`depth ${depth} \u00B7 ${fieldCount} ${
+        fieldCount === 1 ? 'field' : 'fields'
+      } \u00B7 cost ${cost}`}
+    </div>
+  );
+}
+
+type RootViewProps = {|
+  schema: GraphQLSchema,
+  type: ?GraphQLNamedType,
+  fields: ?GraphQLFieldMap<any, any>,
+  availableFragments: $ReadOnlyArray<FragmentDefinitionNode>,
+  operation: 'query' | 'mutation' | 'subscription' | 'fragment',
+  name: ?string,
+  onTypeName: ?string,
+  definition: FragmentDefinitionNode | OperationDefinitionNode,
+  variables: Variables,
+  onEdit: (
+    operationDef: ?OperationDefinitionNode | ?FragmentDefinitionNode,
+    options?: ?ModifyOptions,
+  ) => void,
+  onOperationRename: (query: string) => void,
+  collapsed: boolean,
+  onToggleCollapsed: () => void,
+  operationKinds: Array<RootOperationType>,
+  onOperationDelete: ?() => void,
+  onOperationDuplicate: ?() => void,
+  onOperationMoveUp: ?() => void,
+  onOperationMoveDown: ?() => void,
+  onOperationRetype: ?(kind: RootOperationType) => void,
+  onRunOperation: (name: ?string) => void,
+  showTypes: boolean,
+  onShowDoc: ?OnShowDoc,
+  getDefaultFieldNames: (type: GraphQLObjectType) => Array<string>,
+  // How many levels of default subfields to add along with a new field
+  autoSelectDepth: number,
+  getDefaultScalarArgValue: GetDefaultScalarArgValue,
+  scalarInputs: ScalarInputs,
+  makeDefaultArg: ?MakeDefaultArg,
+  styleConfig: StyleConfig,
+  isBetaField: ?IsBetaField,
+  treeWindow: TreeWindow,
+  getFieldCost: GetFieldCost,
+  complexityLimits: ?ComplexityLimits,
+  validation: Validation,
+|};
+
+type OperationMenuProps = {|
+  operation: 'query' | 'mutation' | 'subscription' | 'fragment',
+  operationKinds: Array<RootOperationType>,
+  onDelete: ?() => void,
+  onDuplicate: ?() => void,
+  onMoveUp: ?() => void,
+  onMoveDown: ?() => void,
+  onRetype: ?(kind: RootOperationType) => void,
+  onClose: () => void,
+|};
+
+function OperationMenu(props: OperationMenuProps) {
+  const items = [];
+  const addItem = (action: string, label: string, onSelect: ?() => void) => {
+    const select = onSelect;
+    if (select) {
+      items.push(
+        <button
+          key={action}
+          type="button"
+          role="menuitem"
+          className={
+            action === 'delete'
+              ? 'graphiql-explorer-menu-item graphiql-explorer-warning'
+              : 'graphiql-explorer-menu-item'
+          }
+          data-operation-action={action}
+          onClick={() => {
+            props.onClose();
+            select();
+          }}>
+          {label}
+        </button>,
+      );
+    }
+  };
+
+  addItem('duplicate', 'Duplicate', props.onDuplicate);
+  addItem('move-up', 'Move up', props.onMoveUp);
+  addItem('move-down', 'Move down', props.onMoveDown);
+  const onRetype = props.onRetype;
+  if (onRetype) {
+    props.operationKinds
+      .filter(kind => kind !== props.operation)
+      .forEach(kind =>
+        addItem(`retype-${kind}`, `Change to ${kind}`, () => onRetype(kind)),
+      );
+  }
+  addItem('delete', 'Delete', props.onDelete);
+
+  return (
+    <div role="menu" className="graphiql-explorer-menu">
+      {items}
+    </div>
+  );
+}
+
+type RootViewState = {|
+  isMenuOpen: boolean,
+|};
+
+class RootView extends React.PureComponent<RootViewProps, RootViewState> {
+  state = {isMenuOpen: false};
+
+  _previousOperationDef: ?OperationDefinitionNode | ?FragmentDefinitionNode;
+
+  _modifySelections = (selections: Selections, options?: ?ModifyOptions) => {
+    let operationDef: FragmentDefinitionNode | OperationDefinitionNode = this
+      .props.definition;
+
+    if (
+      operationDef.selectionSet.selections.length === 0 &&
+      this._previousOperationDef
+    ) {
+      operationDef = this._previousOperationDef;
+    }
+
+    let newOperationDef: ?OperationDefinitionNode | ?FragmentDefinitionNode;
+
+    if (selections.length === 0) {
+      this._previousOperationDef = operationDef;
+      newOperationDef = null;
+    } else if (operationDef.kind === 'FragmentDefinition') {
+      newOperationDef = {
+        ...operationDef,
+        selectionSet: {
+          ...operationDef.selectionSet,
+          selections,
+        },
+      };
+    } else if (operationDef.kind === 'OperationDefinition') {
+      newOperationDef = {
+        ...operationDef,
+        variableDefinitions:
+          options && options.variableDefinitions
+            ? options.variableDefinitions
+            : operationDef.variableDefinitions,
+        selectionSet: {
+          ...operationDef.selectionSet,
+          selections,
+        },
+      };
+    }
+
+    this.props.onEdit(newOperationDef, options);
+  };
+
+  _onOperationRename = event =>
+    this.props.onOperationRename(event.target.value);
+
+  _handlePotentialRun = event => {
+    if (isRunShortcut(event)) {
+      this.props.onRunOperation(this.props.name);
+    }
+  };
+
+  // Stays the same across renders, unlike `onRunOperation`, so that fields
+  // don't re-render for it
+  _runOperation = () => {
+    this.props.onRunOperation(this.props.name);
+  };
+
+  _toggleMenu = () => {
+    this.setState({isMenuOpen: !this.state.isMenuOpen});
+  };
+
+  _closeMenu = () => {
+    this.setState({isMenuOpen: false});
+  };
+
+  _complexity: ?[Array<mixed>, Complexity] = null;
+
+  // Measuring walks the whole operation, so it's only redone when the
+  // operation, or something else it depends on, changes
+  _getComplexity = (limits: ComplexityLimits): Complexity => {
+    const {schema, type, definition, variables, getFieldCost} = this.props;
+    const fragments = this.props.availableFragments;
+    // `availableFragments` is a new array on every render
+    const inputs = [
+      schema,
+      type,
+      definition,
+      variables,
+      getFieldCost,
+      this.props.complexityLimits,
+      ...fragments,
+    ];
+    const cached = this._complexity;
+    if (
+      cached &&
+      cached[0].length === inputs.length &&
+      cached[0].every((input, index) => input === inputs[index])
+    ) {
+      return cached[1];
+    }
+    const complexity = operationComplexity(
+      {schema, fragments, variables, getFieldCost, fields: []},
+      type,
+      definition,
+      limits,
+    );
+    this._complexity = [inputs, complexity];
+    return complexity;
+  };
+
+  _hasMenu(): boolean {
+    return !!(
+      this.props.onOperationDelete ||
+      this.props.onOperationDuplicate ||
+      this.props.onOperationMoveUp ||
+      this.props.onOperationMoveDown ||
+      this.props.onOperationRetype
+    );
+  }
+
+  render() {
+    const {
+      operation,
+      name,
+      definition,
+      schema,
+      type,
+      getDefaultFieldNames,
+      collapsed,
+      styleConfig,
+    } = this.props;
+    const fields = this.props.fields || {};
+    const operationDef = definition;
+    const selections = operationDef.selectionSet.selections;
+    const errors = errorsWithin(this.props.validation, definition);
+    const complexityLimits = this.props.complexityLimits || {};
+    const complexity = this._getComplexity(complexityLimits);
+
+    const operationDisplayName =
+      this.props.name || `${capitalize(operation)} Name`;
+
+    return (
+      <div
+        id={`${operation}-${name || 'unknown'}`}
+        className="graphiql-explorer-operation"
+        {...treeItemProps(
+          {
+            isExpanded: !collapsed,
+            isActive: true,
+            toggle: this.props.onToggleCollapsed,
+          },
+          `${operation} ${name || ''}`,
+        )}>
+        <div className="graphiql-explorer-operation-title graphiql-explorer-keyword">
+          <span
+            className="graphiql-explorer-toggle"
+            data-operation-collapse
+            onClick={this.props.onToggleCollapsed}>
+            {collapsed ? styleConfig.arrowClosed : styleConfig.arrowOpen}
+          </span>
+          {operation}{' '}
+          <span className="graphiql-explorer-def">
+            <input
+              className="graphiql-explorer-input"
+              style={{
+                width: `${Math.max(4, operationDisplayName.length)}ch`,
+              }}
+              autoComplete="false"
+              placeholder={`${capitalize(operation)} Name`}
+              value={this.props.name}
+              onKeyDown={this._handlePotentialRun}
+              onChange={this._onOperationRename}
+            />
+          </span>
+          {this._hasMenu() ? (
+            <span
+              className="graphiql-explorer-action graphiql-explorer-menu-toggle"
+              title="Operation actions"
+              aria-haspopup="true"
+              aria-expanded={this.state.isMenuOpen}
+              data-operation-menu-toggle
+              onClick={this._toggleMenu}>
+              {'\u22EF'}
+            </span>
+          ) : null}
+          {errors.length ? (
+            <span
+              className="graphiql-explorer-validation-count"
+              title={errors.map(error => error.message).join('\n')}
+              data-validation-count>
+              {errors.length === 1 ? '1 error' : `${errors.length} errors`}
+            </span>
+          ) : null}
+          {!!this.props.onTypeName ? (
+            <span>
+              <br />
+              {`on ${this.props.onTypeName}`}
+            </span>
+          ) : (
+            ''
+          )}
+        </div>
+        <ComplexityView complexity={complexity} limits={complexityLimits} />
+        {this.state.isMenuOpen ? (
+          <OperationMenu
+            operation={operation}
+            operationKinds={this.props.operationKinds}
+            onDelete={this.props.onOperationDelete}
+            onDuplicate={this.props.onOperationDuplicate}
+            onMoveUp={this.props.onOperationMoveUp}
+            onMoveDown={this.props.onOperationMoveDown}
+            onRetype={this.props.onOperationRetype}
+            onClose={this._closeMenu}
+          />
+        ) : null}
+
+        <div role="group" hidden={collapsed}>
+          <FieldGroupsView
+            groups={groupFields(fields, this.props.isBetaField)}
+            treeWindow={this.props.treeWindow}
+            selections={selections}
+            renderField={fieldName =>
+              fieldOccurrences(selections, fieldName).map(occurrence => (
+                <FieldView
+                  validation={this.props.validation}
+                  key={`${fieldName}:${occurrence}`}
+                  field={fields[fieldName]}
+                  occurrence={occurrence}
+                  selections={selections}
+                  modifySelections={this._modifySelections}
+                  schema={schema}
+                  getDefaultFieldNames={getDefaultFieldNames}
+                  autoSelectDepth={this.props.autoSelectDepth}
+                  getDefaultScalarArgValue={this.props.getDefaultScalarArgValue}
+                  scalarInputs={this.props.scalarInputs}
+                  makeDefaultArg={this.props.makeDefaultArg}
+                  onRunOperation={this._runOperation}
+                  showTypes={this.props.showTypes}
+                  onShowDoc={this.props.onShowDoc}
+                  styleConfig={this.props.styleConfig}
+                  definition={this.props.definition}
+                  variables={this.props.variables}
+                  availableFragments={this.props.availableFragments}
+                  isBetaField={this.props.isBetaField}
+                  treeWindow={this.props.treeWindow}
+                  overLimitFields={complexity.overLimitFields}
+                />
+              ))
+            }
+            styleConfig={styleConfig}
+          />
+          {isInterfaceType(type) || isUnionType(type)
+            ? schema
+                .getPossibleTypes(type)
+                .map(type => (
+                  <AbstractView
+                    validation={this.props.validation}
+                    key={type.name}
+                    implementingType={type}
+                    selections={selections}
+                    modifySelections={this._modifySelections}
+                    schema={schema}
+                    getDefaultFieldNames={getDefaultFieldNames}
+                    autoSelectDepth={this.props.autoSelectDepth}
+                    getDefaultScalarArgValue={
+                      this.props.getDefaultScalarArgValue
+                    }
+                    scalarInputs={this.props.scalarInputs}
+                    makeDefaultArg={this.props.makeDefaultArg}
+                    onRunOperation={this._runOperation}
+                    showTypes={this.props.showTypes}
+                    onShowDoc={this.props.onShowDoc}
+                    styleConfig={this.props.styleConfig}
+                    definition={this.props.definition}
+                    variables={this.props.variables}
+                    availableFragments={this.props.availableFragments}
+                    isBetaField={this.props.isBetaField}
+                    treeWindow={this.props.treeWindow}
+                    overLimitFields={complexity.overLimitFields}
+                  />
+                ))
+            : null}
+          {type
+            ? this.props.availableFragments
+                .filter(fragment => fragmentFitsType(schema, fragment, type))
+                .map(fragment => (
+                  <FragmentView
+                    key={fragment.name.value}
+                    fragment={fragment}
+                    selections={selections}
+                    modifySelections={this._modifySelections}
+                    styleConfig={styleConfig}
+                  />
+                ))
+            : null}
+          <UnknownSelectionsView
+            schema={schema}
+            parentType={type}
+            selections={selections}
+            modifySelections={this._modifySelections}
+            availableFragments={this.props.availableFragments}
+            styleConfig={styleConfig}
+          />
+        </div>
+      </div>
+    );
+  }
+}
+
+// The errors from graphql-js `validate`, by the nodes they point at
+type Validation = {|
+  errors: $ReadOnlyArray<GraphQLError>,
+  nodeErrors: Map<ASTNode, Array<GraphQLError>>,
+|};
+
+type QuickFix = {|
+  label: string,
+  fix: () => void,
+|};
+
+const NO_VALIDATION_ERRORS: $ReadOnlyArray<GraphQLError> = [];
+const NO_QUICK_FIXES: $ReadOnlyArray<QuickFix> = [];
+const NO_VALIDATION: Validation = {
+  errors: NO_VALIDATION_ERRORS,
+  nodeErrors: new Map(),
+};
+
+function validateDocument(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+): Validation {
+  let errors;
+  try {
+    errors = validate(schema, document);
+  } catch (e) {
+    // e.g. a schema that doesn't pass graphql-js' own checks
+    console.error('Unable to validate the query', e);
+    return NO_VALIDATION;
+  }
+  const nodeErrors = new Map();
+  errors.forEach(error => {
+    (error.nodes || []).forEach(node => {
+      nodeErrors.set(node, [...(nodeErrors.get(node) || []), error]);
+    });
+  });
+  return {errors, nodeErrors};
+}
+
+// The errors that point at `node` or anything inside it
+function errorsWithin(
+  validation: Validation,
+  node: ASTNode,
+): $ReadOnlyArray<GraphQLError> {
+  if (validation.errors.length === 0) {
+    return NO_VALIDATION_ERRORS;
+  }
+  const errors = [];
+  visit(node, {
+    enter(child) {
+      (validation.nodeErrors.get(child) || []).forEach(error => {
+        if (errors.indexOf(error) === -1) {
+          errors.push(error);
+        }
+      });
+    },
+  });
+  return errors.length ? errors : NO_VALIDATION_ERRORS;
+}
+
+function ValidationErrorsView(props: {
+  errors: $ReadOnlyArray<GraphQLError>,
+  quickFixes: $ReadOnlyArray<QuickFix>,
+}) {
+  if (props.errors.length === 0) {
+    return null;
+  }
+  return (
+    <div className="graphiql-explorer-validation-errors">
+      {props.errors.map((error, index) => (
+        <div
+          key={index}
+          className="graphiql-explorer-validation-error"
+          data-validation-error>
+          {error.message}
+        </div>
+      ))}
+      {props.quickFixes.map(quickFix => (
+        <button
+          key={quickFix.label}
+          type="button"
+          className="graphiql-explorer-quick-fix"
+          data-quick-fix
+          onClick={event => {
+            event.stopPropagation();
+            quickFix.fix();
+          }}>
+          {quickFix.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function ParseErrorView({error}: {error: GraphQLError}) {
+  const location = error.locations && error.locations[0];
+  return (
+    <div
+      className="graphiql-explorer-parse-error"
+      role="alert"
+      data-parse-error>
+      <div>
+        {error.message}
+        {location ? (
+          <span className="graphiql-explorer-parse-error-location">
+            {` (line ${location.line}, column ${location.column})`}
+          </span>
+        ) : null}
+      </div>
+      <div className="graphiql-explorer-parse-error-hint">
+        The explorer is read-only until the query is fixed.
+      </div>
+    </div>
+  );
+}
+
+function Attribution() {
+  return (
+    <div className="graphiql-explorer-attribution">
+      <div className="graphiql-explorer-attribution-credit">
+        GraphiQL Explorer by <a href="https://www.onegraph.com">OneGraph</a>
+      </div>
+      <div>
+        Contribute on{' '}
+        <a href="https://github.com/OneGraph/graphiql-explorer">GitHub</a>
+      </div>
+    </div>
+  );
+}
+
+const MAX_SEARCH_RESULTS = 100;
+const MAX_SEARCH_EXPANDED_TYPES = 2000;
+
+type SearchResult = {|
+  operation: RootOperationType,
+  path: Array<Field>,
+|};
+
+function fieldMatchesSearch(field: Field, searchTerm: string): boolean {
+  const term = searchTerm.toLowerCase();
+  return (
+    field.name.toLowerCase().indexOf(term) !== -1 ||
+    (field.description || '').toLowerCase().indexOf(term) !== -1
+  );
+}
+
+function filterFields(
+  fields: ?GraphQLFieldMap<any, any>,
+  searchTerm: string,
+): ?GraphQLFieldMap<any, any> {
+  if (!fields || !searchTerm) {
+    return fields;
+  }
+  const filteredFields = {};
+  for (const fieldName of Object.keys(fields)) {
+    if (fieldMatchesSearch(fields[fieldName], searchTerm)) {
+      filteredFields[fieldName] = fields[fieldName];
+    }
+  }
+  return filteredFields;
+}
+
+// Walks the schema breadth-first from the root types, so shallow matches are
+// listed first. A type is never expanded twice along the same path, and the
+// total number of expanded types is capped to keep large schemas responsive.
+function searchSchema(
+  schema: GraphQLSchema,
+  searchTerm: string,
+  maxDepth: number,
+  maxResults: number,
+): Array<SearchResult> {
+  const results = [];
+  const queue = [];
+  let expandedTypeCount = 0;
+  const roots = [
+    ['query', schema.getQueryType()],
+    ['mutation', schema.getMutationType()],
+    ['subscription', schema.getSubscriptionType()],
+  ];
+  roots.forEach(([operation, type]) => {
+    if (type) {
+      queue.push({operation, type, path: [], typeNames: [type.name]});
+    }
+  });
+
+  while (queue.length && results.length < maxResults) {
+    const {operation, type, path, typeNames} = queue.shift();
+    const fields = type.getFields();
+    for (const fieldName of Object.keys(fields).sort()) {
+      const field = fields[fieldName];
+      const fieldPath = [...path, field];
+      if (fieldMatchesSearch(field, searchTerm)) {
+        results.push({operation, path: fieldPath});
+        if (results.length >= maxResults) {
+          break;
+        }
+      }
+      const fieldType = getNamedType(field.type);
+      if (
+        fieldPath.length < maxDepth &&
+        expandedTypeCount < MAX_SEARCH_EXPANDED_TYPES &&
+        (isObjectType(fieldType) || isInterfaceType(fieldType)) &&
+        typeNames.indexOf(fieldType.name) === -1
+      ) {
+        expandedTypeCount += 1;
+        queue.push({
+          operation,
+          type: fieldType,
+          path: fieldPath,
+          typeNames: [...typeNames, fieldType.name],
+        });
+      }
+    }
+  }
+  return results;
+}
+
+type SearchViewProps = {|
+  schema: GraphQLSchema,
+  searchTerm: string,
+  searchDepth: number,
+  onChangeSearchTerm: (searchTerm: string) => void,
+  onSelectResult: (result: SearchResult) => void,
+  styleConfig: StyleConfig,
+|};
+
+class SearchView extends React.PureComponent<SearchViewProps, {}> {
+  _results: ?[string, number, GraphQLSchema, Array<SearchResult>] = null;
+
+  _getResults = (): Array<SearchResult> => {
+    const {schema, searchTerm, searchDepth} = this.props;
+    const cached = this._results;
+    if (
+      cached &&
+      cached[0] === searchTerm &&
+      cached[1] === searchDepth &&
+      cached[2] === schema
+    ) {
+      return cached[3];
+    }
+    const results = searchSchema(
+      schema,
+      searchTerm,
+      searchDepth,
+      MAX_SEARCH_RESULTS,
+    );
+    this._results = [searchTerm, searchDepth, schema, results];
+    return results;
+  };
+
+  _onChange = event => this.props.onChangeSearchTerm(event.target.value);
+
+  render() {
+    const {searchTerm} = this.props;
+    const results = searchTerm ? this._getResults() : [];
+    return (
+      <div className="graphiql-explorer-search">
+        <input
+          className="graphiql-explorer-input graphiql-explorer-search-input"
+          type="search"
+          placeholder="Search the schema..."
+          aria-label="Search the schema"
+          value={searchTerm}
+          onChange={this._onChange}
+        />
+        {searchTerm ? (
+          <div className="graphiql-explorer-search-results">
+            {results.length === 0 ? (
+              <div className="graphiql-explorer-search-empty">
+                No matching fields
+              </div>
+            ) : null}
+            {results.map(result => {
+              const pathKey = result.path.map(field => field.name).join('.');
+              return (
+                <div
+                  key={`${result.operation}-${pathKey}`}
+                  className="graphiql-explorer-search-result"
+                  title={`Add to ${result.operation}`}
+                  data-search-result={pathKey}
+                  onClick={() => this.props.onSelectResult(result)}>
+                  <span className="graphiql-explorer-keyword">
+                    {result.operation}
+                  </span>{' '}
+                  {result.path.map((field, index) => (
+                    <span key={index}>
+                      {index > 0 ? ' > ' : null}
+                      <span className="graphiql-explorer-property">
+                        {field.name}
+                      </span>
+                    </span>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+        ) : null}
+      </div>
+    );
+  }
+}
+
+class Explorer extends React.PureComponent<Props, State> {
+  static defaultProps = {
+    getDefaultFieldNames: defaultGetDefaultFieldNames,
+    autoSelectDepth: 0,
+    getDefaultScalarArgValue: defaultGetDefaultScalarArgValue,
+    searchDepth: 3,
+  };
+
+  state = {
+    searchTerm: '',
+    collapsedOperations: {},
+    undoStack: [],
+    redoStack: [],
+  };
+
+  _ref: ?any;
+  _resetScroll = () => {
+    const container = this._ref;
+    if (container) {
+      container.scrollLeft = 0;
+    }
+  };
+  componentDidMount() {
+    this._resetScroll();
+    if (this._ref) {
+      this._treeWindow.attach(this._ref);
+    }
+    this._ensureTreeTabStop();
+    this._applyColors();
+    this._reportParseError();
+    this._saveRootViewKeys();
+  }
+  componentDidUpdate(prevProps: Props) {
+    this._ensureTreeTabStop();
+    this._applyColors();
+    this._reportParseError();
+    this._saveRootViewKeys();
+    this._resetHistoryOnOutsideEdit(prevProps);
+    this._treeWindow.scheduleUpdate();
+  }
+  componentWillUnmount() {
+    this._treeWindow.detach();
+  }
+
+  // What the explorer last handed to `onEdit` or `onEditDocument`, to tell
+  // its own edits apart from edits made in the editor
+  _lastEmitted: ?(string | DocumentNode) = null;
+
+  // Undoing past an edit made in the editor would throw away what the user
+  // typed, so that's where the history starts over
+  _resetHistoryOnOutsideEdit = (prevProps: Props) => {
+    const current = this.props.document || this.props.query;
+    if (
+      current !== (prevProps.document || prevProps.query) &&
+      current !== this._lastEmitted &&
+      (this.state.undoStack.length > 0 || this.state.redoStack.length > 0)
+    ) {
+      this.setState({undoStack: [], redoStack: []});
+    }
+  };
+
+  _currentHistoryEntry = (): HistoryEntry => ({
+    query: this.props.query,
+    document: this.props.document,
+    variables: this._getVariablesText(),
+  });
+
+  _restoreHistoryEntry = (entry: HistoryEntry) => {
+    const {onEditDocument} = this.props;
+    if (onEditDocument && entry.document) {
+      this._lastEmitted = entry.document;
+      onEditDocument(entry.document);
+    } else {
+      this._lastEmitted = entry.query;
+      this.props.onEdit(entry.query);
+    }
+    // e.g. a variable that the undone edit inlined again
+    const {variables} = entry;
+    if (variables != null && variables !== this._getVariablesText()) {
+      this._reportedVariables = variables;
+      if (this.props.onEditVariables) {
+        this.props.onEditVariables(variables);
+      }
+    }
+  };
+
+  _undo = () => {
+    const {undoStack, redoStack} = this.state;
+    const entry = undoStack[undoStack.length - 1];
+    if (!entry) {
+      return;
+    }
+    this.setState({
+      undoStack: undoStack.slice(0, -1),
+      redoStack: [...redoStack, this._currentHistoryEntry()],
+    });
+    this._restoreHistoryEntry(entry);
+  };
+
+  _redo = () => {
+    const {undoStack, redoStack} = this.state;
+    const entry = redoStack[redoStack.length - 1];
+    if (!entry) {
+      return;
+    }
+    this.setState({
+      undoStack: [...undoStack, this._currentHistoryEntry()],
+      redoStack: redoStack.slice(0, -1),
+    });
+    this._restoreHistoryEntry(entry);
+  };
+
+  _handleHistoryKeyDown = (event: SyntheticKeyboardEvent<HTMLElement>) => {
+    const action = historyShortcut(event);
+    const {target} = event;
+    if (
+      !action ||
+      // Leave text fields their own undo of what was typed into them
+      target instanceof HTMLInputElement ||
+      target instanceof HTMLTextAreaElement ||
+      target instanceof HTMLSelectElement
+    ) {
+      return;
+    }
+    event.preventDefault();
+    action === 'undo' ? this._undo() : this._redo();
+  };
+
+  _reportedParseError: ?GraphQLError = null;
+
+  _reportParseError = () => {
+    const error = this._getParseError();
+    if (error !== this._reportedParseError) {
+      this._reportedParseError = error;
+      if (this.props.onParseError) {
+        this.props.onParseError(error);
+      }
+    }
+  };
+
+  // React can't set custom properties through `style` before v16
+  _applyColors = () => {
+    const root = this._ref;
+    if (!root) {
+      return;
+    }
+    const colors = this.props.colors || {};
+    colorNames.forEach(name => {
+      const property = `--graphiql-explorer-${name}`;
+      if (colors[name]) {
+        root.style.setProperty(property, colors[name]);
+      } else {
+        root.style.removeProperty(property);
+      }
+    });
+  };
+  // The tree shows the last query that parsed, so editing it while the query
+  // is invalid would overwrite what the user is typing
+  _onEdit = (parsedQuery: DocumentNode, newQuery: any): void => {
+    if (this._getParseError()) {
+      return;
+    }
+    this.setState({
+      undoStack: [...this.state.undoStack, this._currentHistoryEntry()].slice(
+        -HISTORY_LIMIT,
+      ),
+      redoStack: [],
+    });
+    const {onEditDocument} = this.props;
+    if (onEditDocument) {
+      // Definitions that lost all of their selections are set to null
+      const document = {
+        ...newQuery,
+        definitions: newQuery.definitions.filter(Boolean),
+      };
+      this._lastEmitted = document;
+      onEditDocument(document);
+    } else {
+      const query = printDocumentEdit(parsedQuery, newQuery);
+      this._lastEmitted = query;
+      this.props.onEdit(query);
+    }
+  };
+
+  _parseCache: ParseCache = new ParseCache();
+
+  _rootViewIdentities: Array<RootViewIdentity> = [];
+  _nextRootViewKey: number = 0;
+
+  // Each operation keeps its RootView, and with it the open menu and the
+  // selections to restore, when other operations are moved or deleted. The
+  // operations are matched to those of the last update by name and kind,
+  // then by name, and the rest by position, e.g. one that was renamed. Render
+  // only reads the last update's keys, which are saved once it's done, see
+  // `_saveRootViewKeys`.
+  _matchRootViews = (
+    operations: $ReadOnlyArray<
+      OperationDefinitionNode | FragmentDefinitionNode,
+    >,
+  ): Array<RootViewIdentity> => {
+    const previous = this._rootViewIdentities.slice();
+    const identities = operations.map(operation => ({
+      name: operation.name ? operation.name.value : null,
+      kind:
+        operation.kind === 'FragmentDefinition'
+          ? 'fragment'
+          : operation.operation,
+      key: -1,
+    }));
+    const matchers: Array<
+      (a: RootViewIdentity, b: RootViewIdentity) => boolean,
+    > = [
+      (a, b) => a.name === b.name && a.kind === b.kind,
+      (a, b) => a.name != null && a.name === b.name,
+      () => true,
+    ];
+    matchers.forEach(matches =>
+      identities.forEach(identity => {
+        const match =
+          identity.key === -1
+            ? previous.find(other => matches(other, identity))
+            : null;
+        if (match) {
+          identity.key = match.key;
+          previous.splice(previous.indexOf(match), 1);
+        }
+      }),
+    );
+    let nextKey = this._nextRootViewKey;
+    identities.forEach(identity => {
+      if (identity.key === -1) {
+        identity.key = nextKey++;
+      }
+    });
+    return identities;
+  };
+
+  _saveRootViewKeys = () => {
+    const identities = this._matchRootViews(this._getRelevantOperations());
+    this._rootViewIdentities = identities;
+    this._nextRootViewKey = Math.max(
+      this._nextRootViewKey,
+      ...identities.map(identity => identity.key + 1),
+    );
+  };
+
+  // The operations and fragments, or the placeholder operation when there
+  // are none, so that there's at least an expanded Query selection
+  _getRelevantOperations = (): $ReadOnlyArray<
+    OperationDefinitionNode | FragmentDefinitionNode,
+  > => {
+    const operations = this._getDocument()
+      .definitions.map(definition =>
+        definition.kind === 'FragmentDefinition' ||
+        definition.kind === 'OperationDefinition'
+          ? definition
+          : null,
+      )
+      .filter(Boolean);
+    return operations.length === 0 ? DEFAULT_DOCUMENT.definitions : operations;
+  };
 
-const defaultStyles = {
-  buttonStyle: {
-    fontSize: '1.2em',
-    padding: '0px',
-    backgroundColor: 'white',
-    border: 'none',
-    margin: '5px 0px',
-    height: '40px',
-    width: '100%',
-    display: 'block',
-    maxWidth: 'none',
-  },
+  _getDocument = (): DocumentNode =>
+    this.props.document || this._parseCache.document(this.props.query);
 
-  explorerActionsStyle: {
-    margin: '4px -8px -8px',
-    paddingLeft: '8px',
-    bottom: '0px',
-    width: '100%',
-    textAlign: 'center',
-    background: 'none',
-    borderTop: 'none',
-    borderBottom: 'none',
-  },
-};
+  _getParseError = (): ?GraphQLError =>
+    this.props.document ? null : this._parseCache.error(this.props.query);
 
-type RootViewProps = {|
-  schema: GraphQLSchema,
-  fields: ?GraphQLFieldMap<any, any>,
-  operation: 'query' | 'mutation' | 'subscription' | 'fragment',
-  name: ?string,
-  onTypeName: ?string,
-  definition: FragmentDefinitionNode | OperationDefinitionNode,
-  onEdit: (
-    operationDef: ?OperationDefinitionNode | ?FragmentDefinitionNode,
-  ) => void,
-  onOperationRename: (query: string) => void,
-  onRunOperation: (name: ?string) => void,
-  getDefaultFieldNames: (type: GraphQLObjectType) => Array<string>,
-  getDefaultScalarArgValue: GetDefaultScalarArgValue,
-  makeDefaultArg: ?MakeDefaultArg,
-  styleConfig: StyleConfig,
-|};
+  _treeRef: ?HTMLElement;
+  _treeWindow: TreeWindow = new TreeWindow();
 
-class RootView extends React.PureComponent<RootViewProps, {}> {
-  _previousOperationDef: ?OperationDefinitionNode | ?FragmentDefinitionNode;
+  _getTreeItems = (): Array<HTMLElement> => {
+    const tree = this._treeRef;
+    return tree ? Array.from(tree.querySelectorAll('[role="treeitem"]')) : [];
+  };
 
-  _modifySelections = (selections: Selections) => {
-    let operationDef: FragmentDefinitionNode | OperationDefinitionNode = this
-      .props.definition;
+  _getTreeItem = (element: mixed): ?HTMLElement => {
+    let node = element instanceof HTMLElement ? element : null;
+    while (node && node !== this._treeRef) {
+      if (node.getAttribute('role') === 'treeitem') {
+        return node;
+      }
+      node = node.parentElement;
+    }
+    return null;
+  };
 
-    if (
-      operationDef.selectionSet.selections.length === 0 &&
-      this._previousOperationDef
-    ) {
-      operationDef = this._previousOperationDef;
+  // Roving focus: exactly one row in the tree can be reached with Tab
+  _ensureTreeTabStop = () => {
+    const items = this._getTreeItems();
+    if (items.length && !items.some(item => item.tabIndex === 0)) {
+      items[0].tabIndex = 0;
     }
+  };
 
-    let newOperationDef: ?OperationDefinitionNode | ?FragmentDefinitionNode;
+  _handleTreeFocus = (event: SyntheticFocusEvent<HTMLElement>) => {
+    const item = event.target;
+    if (!(item instanceof HTMLElement) || item !== this._getTreeItem(item)) {
+      return;
+    }
+    this._getTreeItems().forEach(other => {
+      other.tabIndex = other === item ? 0 : -1;
+    });
+  };
 
-    if (selections.length === 0) {
-      this._previousOperationDef = operationDef;
-      newOperationDef = null;
-    } else if (operationDef.kind === 'FragmentDefinition') {
-      newOperationDef = {
-        ...operationDef,
-        selectionSet: {
-          ...operationDef.selectionSet,
-          selections,
-        },
-      };
-    } else if (operationDef.kind === 'OperationDefinition') {
-      newOperationDef = {
-        ...operationDef,
-        selectionSet: {
-          ...operationDef.selectionSet,
-          selections,
-        },
-      };
+  _handleTreeKeyDown = (event: SyntheticKeyboardEvent<HTMLElement>) => {
+    if (event.isDefaultPrevented()) {
+      // Already handled by the row itself
+      return;
+    }
+    const item = this._getTreeItem(event.target);
+    if (!item) {
+      return;
+    }
+    if (item !== event.target) {
+      // Focus is in an input inside the row
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        item.focus();
+      }
+      return;
     }
 
-    this.props.onEdit(newOperationDef);
+    if (
+      [
+        'ArrowDown',
+        'ArrowUp',
+        'Home',
+        'End',
+        'ArrowRight',
+        'ArrowLeft',
+      ].indexOf(event.key) === -1
+    ) {
+      return;
+    }
+    event.preventDefault();
+    this._moveTreeFocus(event.key, item, MAX_REVEAL_ATTEMPTS);
   };
 
-  _onOperationRename = event =>
-    this.props.onOperationRename(event.target.value);
-
-  _handlePotentialRun = event => {
-    if (isRunShortcut(event)) {
-      this.props.onRunOperation(this.props.name);
+  // Rows windowed out of the tree are only there as the spacers standing in
+  // for them, so when moving onto a spacer its row is rendered first, and
+  // the move is tried again
+  _moveTreeFocus = (key: string, item: HTMLElement, attempts: number) => {
+    const tree = this._treeRef;
+    if (!tree) {
+      return;
+    }
+    const items = Array.from(
+      tree.querySelectorAll('[role="treeitem"], [data-window-spacer]'),
+    );
+    const index = items.indexOf(item);
+    let nextItem = null;
+    let edge = 'first';
+    switch (key) {
+      case 'ArrowDown':
+        nextItem = items[index + 1];
+        break;
+      case 'ArrowUp':
+        nextItem = items[index - 1];
+        edge = 'last';
+        break;
+      case 'Home':
+        nextItem = items[0];
+        break;
+      case 'End':
+        nextItem = items[items.length - 1];
+        edge = 'last';
+        break;
+      case 'ArrowRight':
+        // The row is already expanded, so move to its first child
+        if (
+          item.getAttribute('aria-expanded') === 'true' &&
+          items[index + 1] &&
+          item.contains(items[index + 1])
+        ) {
+          nextItem = items[index + 1];
+        }
+        break;
+      case 'ArrowLeft':
+        nextItem = this._getTreeItem(item.parentElement);
+        break;
+    }
+    if (!nextItem) {
+      return;
+    }
+    if (nextItem.hasAttribute('data-window-spacer')) {
+      if (attempts > 0) {
+        this._treeWindow.reveal(nextItem, edge, () =>
+          this._moveTreeFocus(key, item, attempts - 1),
+        );
+      }
+    } else {
+      nextItem.focus();
     }
   };
 
-  render() {
+  // The variables we last reported, used when the host doesn't pass its
+  // current variables back in through the `variables` prop.
+  _reportedVariables: ?string = null;
+  _parsedVariables: ?[string, Variables] = null;
+
+  // The style config and scalar inputs are passed to every field, so keep them
+  // the same object while the props they're made from don't change
+  _styleConfig: ?[Array<mixed>, StyleConfig] = null;
+
+  _getStyleConfig = (): StyleConfig => {
     const {
-      operation,
-      name,
-      definition,
-      schema,
-      getDefaultFieldNames,
-      styleConfig,
+      checkboxChecked,
+      checkboxUnchecked,
+      arrowClosed,
+      arrowOpen,
+      styles,
     } = this.props;
-    const fields = this.props.fields || {};
-    const operationDef = definition;
-    const selections = operationDef.selectionSet.selections;
+    const inputs = [
+      checkboxChecked,
+      checkboxUnchecked,
+      arrowClosed,
+      arrowOpen,
+      styles,
+    ];
+    const cached = this._styleConfig;
+    if (cached && cached[0].every((input, index) => input === inputs[index])) {
+      return cached[1];
+    }
+    const styleConfig = {
+      checkboxChecked: checkboxChecked || defaultCheckboxChecked,
+      checkboxUnchecked: checkboxUnchecked || defaultCheckboxUnchecked,
+      arrowClosed: arrowClosed || defaultArrowClosed,
+      arrowOpen: arrowOpen || defaultArrowOpen,
+      styles: styles || {},
+    };
+    this._styleConfig = [inputs, styleConfig];
+    return styleConfig;
+  };
 
-    const operationDisplayName =
-      this.props.name || `${capitalize(operation)} Name`;
+  _scalarInputs: ?[?ScalarInputs, ScalarInputs] = null;
 
-    return (
-      <div
-        id={`${operation}-${name || 'unknown'}`}
-        style={{
-          borderBottom: '1px solid #d6d6d6',
-          marginBottom: '0em',
-          paddingBottom: '1em',
-        }}>
-        <div style={{color: styleConfig.colors.keyword, paddingBottom: 4}}>
-          {operation}{' '}
-          <span style={{color: styleConfig.colors.def}}>
-            <input
-              style={{
-                color: styleConfig.colors.def,
-                border: 'none',
-                borderBottom: '1px solid #888',
-                outline: 'none',
-                width: `${Math.max(4, operationDisplayName.length)}ch`,
-              }}
-              autoComplete="false"
-              placeholder={`${capitalize(operation)} Name`}
-              value={this.props.name}
-              onKeyDown={this._handlePotentialRun}
-              onChange={this._onOperationRename}
-            />
-          </span>
-          {!!this.props.onTypeName ? (
-            <span>
-              <br />
-              {`on ${this.props.onTypeName}`}
-            </span>
-          ) : (
-            ''
-          )}
-        </div>
+  _getScalarInputs = (): ScalarInputs => {
+    const cached = this._scalarInputs;
+    if (cached && cached[0] === this.props.scalarInputs) {
+      return cached[1];
+    }
+    const scalarInputs = {...defaultScalarInputs, ...this.props.scalarInputs};
+    this._scalarInputs = [this.props.scalarInputs, scalarInputs];
+    return scalarInputs;
+  };
 
-        {Object.keys(fields)
-          .sort()
-          .map((fieldName: string) => (
-            <FieldView
-              key={fieldName}
-              field={fields[fieldName]}
-              selections={selections}
-              modifySelections={this._modifySelections}
-              schema={schema}
-              getDefaultFieldNames={getDefaultFieldNames}
-              getDefaultScalarArgValue={this.props.getDefaultScalarArgValue}
-              makeDefaultArg={this.props.makeDefaultArg}
-              onRunOperation={this.props.onRunOperation}
-              styleConfig={this.props.styleConfig}
-            />
-          ))}
-      </div>
-    );
-  }
-}
+  _validation: ?[GraphQLSchema, DocumentNode, Validation] = null;
 
-function Attribution() {
-  return (
-    <div
-      style={{
-        fontFamily: 'sans-serif',
-        display: 'flex',
-        flexDirection: 'column',
-        alignItems: 'center',
-        margin: '1em',
-        marginTop: 0,
-        flexGrow: 1,
-        justifyContent: 'flex-end',
-      }}>
-      <div
-        style={{
-          borderTop: '1px solid #d6d6d6',
-          paddingTop: '1em',
-          width: '100%',
-          textAlign: 'center',
-        }}>
-        GraphiQL Explorer by <a href="https://www.onegraph.com">OneGraph</a>
-      </div>
-      <div>
-        Contribute on{' '}
-        <a href="https://github.com/OneGraph/graphiql-explorer">GitHub</a>
-      </div>
-    </div>
-  );
-}
+  // Validates again only when the schema or the query changes
+  _getValidation = (
+    schema: GraphQLSchema,
+    document: DocumentNode,
+  ): Validation => {
+    const cached = this._validation;
+    if (cached && cached[0] === schema && cached[1] === document) {
+      return cached[2];
+    }
+    // There's nothing to validate in the placeholder for an empty query
+    const validation =
+      document === DEFAULT_DOCUMENT
+        ? NO_VALIDATION
+        : validateDocument(schema, document);
+    this._validation = [schema, document, validation];
+    return validation;
+  };
 
-class Explorer extends React.PureComponent<Props, State> {
-  static defaultProps = {
-    getDefaultFieldNames: defaultGetDefaultFieldNames,
-    getDefaultScalarArgValue: defaultGetDefaultScalarArgValue,
+  _getVariablesText = (): ?string =>
+    this.props.variables != null
+      ? this.props.variables
+      : this._reportedVariables;
+
+  _getVariables = (): Variables => {
+    const text = this._getVariablesText();
+    if (!text || !text.trim()) {
+      return {};
+    }
+    if (this._parsedVariables && this._parsedVariables[0] === text) {
+      return this._parsedVariables[1];
+    }
+    let variables = {};
+    try {
+      const parsed = JSON.parse(text);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        variables = parsed;
+      }
+    } catch (e) {
+      // Most likely the user is still typing in the variables editor
+      if (this._parsedVariables) {
+        return this._parsedVariables[1];
+      }
+    }
+    this._parsedVariables = [text, variables];
+    return variables;
   };
 
-  _ref: ?any;
-  _resetScroll = () => {
-    const container = this._ref;
-    if (container) {
-      container.scrollLeft = 0;
+  _setSearchTerm = (searchTerm: string) => {
+    this.setState({searchTerm});
+  };
+
+  _toggleOperationCollapsed = (key: string) => {
+    this.setState({
+      collapsedOperations: {
+        ...this.state.collapsedOperations,
+        [key]: !this.state.collapsedOperations[key],
+      },
+    });
+  };
+
+  _addSearchResult = (result: SearchResult) => {
+    const parsedQuery = this._getDocument();
+    const getDefaultScalarArgValue =
+      this.props.getDefaultScalarArgValue || defaultGetDefaultScalarArgValue;
+    // Don't keep the placeholder operation we show for an empty document
+    const definitions = parsedQuery.definitions.filter(
+      definition => definition !== DEFAULT_OPERATION,
+    );
+    const operation = definitions.find(
+      definition =>
+        definition.kind === 'OperationDefinition' &&
+        definition.operation === result.operation,
+    );
+    const baseOperation =
+      operation && operation.kind === 'OperationDefinition'
+        ? operation
+        : {
+            ...DEFAULT_OPERATION,
+            operation: result.operation,
+            name: {kind: 'Name', value: `My${capitalize(result.operation)}`},
+          };
+    const newOperation = {
+      ...baseOperation,
+      selectionSet: {
+        ...baseOperation.selectionSet,
+        selections: addFieldPath(
+          baseOperation.selectionSet.selections,
+          result.path,
+          this.props.getDefaultFieldNames || defaultGetDefaultFieldNames,
+          getDefaultScalarArgValue,
+          this.props.makeDefaultArg,
+          this.props.autoSelectDepth || 0,
+        ),
+      },
+    };
+    this._onEdit(parsedQuery, {
+      ...parsedQuery,
+      definitions: operation
+        ? definitions.map(definition =>
+            definition === operation ? newOperation : definition,
+          )
+        : [...definitions, newOperation],
+    });
+  };
+
+  _onEditVariables = (variables: Variables): void => {
+    const text = JSON.stringify(variables, null, 2);
+    this._reportedVariables = text;
+    if (this.props.onEditVariables) {
+      this.props.onEditVariables(text);
     }
   };
-  componentDidMount() {
-    this._resetScroll();
-  }
-  _onEdit = (query: string): void => this.props.onEdit(query);
 
   render() {
-    const {schema, query, makeDefaultArg} = this.props;
+    const {schema, makeDefaultArg} = this.props;
 
     if (!schema) {
       return (
-        <div style={{fontFamily: 'sans-serif'}} className="error-container">
+        <div className="error-container graphiql-explorer-error">
           No Schema Available
         </div>
       );
     }
-    const styleConfig = {
-      colors: this.props.colors || defaultColors,
-      checkboxChecked: this.props.checkboxChecked || defaultCheckboxChecked,
-      checkboxUnchecked:
-        this.props.checkboxUnchecked || defaultCheckboxUnchecked,
-      arrowClosed: this.props.arrowClosed || defaultArrowClosed,
-      arrowOpen: this.props.arrowOpen || defaultArrowOpen,
-      styles: this.props.styles
-        ? {
-            ...defaultStyles,
-            ...this.props.styles,
-          }
-        : defaultStyles,
-    };
+    const styleConfig = this._getStyleConfig();
     const queryType = schema.getQueryType();
     const mutationType = schema.getMutationType();
     const subscriptionType = schema.getSubscriptionType();
@@ -1647,249 +5749,310 @@ class Explorer extends React.PureComponent<Props, State> {
     const mutationFields = mutationType && mutationType.getFields();
     const subscriptionFields = subscriptionType && subscriptionType.getFields();
 
-    const parsedQuery: DocumentNode = memoizeParseQuery(query);
+    const parsedQuery: DocumentNode = this._getDocument();
+    const parseError = this._getParseError();
+    const validation = parseError
+      ? NO_VALIDATION
+      : this._getValidation(schema, parsedQuery);
+    const variables = this._getVariables();
     const getDefaultFieldNames =
       this.props.getDefaultFieldNames || defaultGetDefaultFieldNames;
     const getDefaultScalarArgValue =
       this.props.getDefaultScalarArgValue || defaultGetDefaultScalarArgValue;
+    const scalarInputs = this._getScalarInputs();
 
     const definitions = parsedQuery.definitions;
 
-    const _relevantOperations = definitions
-      .map(definition => {
-        if (definition.kind === 'FragmentDefinition') {
-          return definition;
-        } else if (definition.kind === 'OperationDefinition') {
-          return definition;
-        } else {
-          return null;
-        }
-      })
+    const fragments = definitions
+      .map(definition =>
+        definition.kind === 'FragmentDefinition' ? definition : null,
+      )
       .filter(Boolean);
 
-    const relevantOperations =
-      // If we don't have any relevant definitions from the parsed document,
-      // then at least show an expanded Query selection
-      _relevantOperations.length === 0
-        ? DEFAULT_DOCUMENT.definitions
-        : _relevantOperations;
-
-    const renameOperation = (targetOperation, name) => {
-      const newName =
-        name == null || name === ''
-          ? null
-          : {kind: 'Name', value: name, loc: undefined};
-      const newOperation = {...targetOperation, name: newName};
-
-      const existingDefs = parsedQuery.definitions;
-
-      const newDefinitions = existingDefs.map(existingOperation => {
-        if (targetOperation === existingOperation) {
-          return newOperation;
-        } else {
-          return existingOperation;
-        }
-      });
-
-      return {
-        ...parsedQuery,
-        definitions: newDefinitions,
-      };
-    };
-
-    const addOperation = (kind: 'query' | 'mutation' | 'subscription') => {
-      const existingDefs = parsedQuery.definitions;
-
-      const viewingDefaultOperation =
-        parsedQuery.definitions.length === 1 &&
-        parsedQuery.definitions[0] === DEFAULT_DOCUMENT.definitions[0];
-
-      const MySiblingDefs = viewingDefaultOperation
-        ? []
-        : existingDefs.filter(def => {
-            if (def.kind === 'OperationDefinition') {
-              return def.operation === kind;
-            } else {
-              // Don't support adding fragments from explorer
-              return false;
-            }
-          });
-
-      const newOperationName = `My${capitalize(kind)}${
-        MySiblingDefs.length === 0 ? '' : MySiblingDefs.length + 1
-      }`;
+    const relevantOperations = this._getRelevantOperations();
+    const rootViewKeys = this._matchRootViews(relevantOperations).map(
+      identity => identity.key,
+    );
 
-      // Add this as the default field as it guarantees a valid selectionSet
-      const firstFieldName = '__typename # Placeholder value';
+    const editDocument = (edit: DocumentNode => DocumentNode) =>
+      this._onEdit(parsedQuery, edit(parsedQuery));
 
-      const selectionSet = {
-        kind: 'SelectionSet',
-        selections: [
+    // Replaces the placeholder operation we show for an empty document
+    const addNewOperation = (kind: RootOperationType) =>
+      editDocument(document =>
+        addOperation(
           {
-            kind: 'Field',
-            name: {
-              kind: 'Name',
-              value: firstFieldName,
-              loc: null,
-            },
-            arguments: [],
-            directives: [],
-            selectionSet: null,
-            loc: null,
+            ...document,
+            definitions: document.definitions.filter(
+              definition => definition !== DEFAULT_OPERATION,
+            ),
           },
-        ],
-        loc: null,
-      };
-
-      const newDefinition = {
-        kind: 'OperationDefinition',
-        operation: kind,
-        name: {kind: 'Name', value: newOperationName},
-        variableDefinitions: [],
-        directives: [],
-        selectionSet: selectionSet,
-        loc: null,
-      };
-
-      const newDefinitions =
-        // If we only have our default operation in the document right now, then
-        // just replace it with our new definition
-        viewingDefaultOperation
-          ? [newDefinition]
-          : [...parsedQuery.definitions, newDefinition];
+          kind,
+        ),
+      );
 
-      const newOperationDef = {
-        ...parsedQuery,
-        definitions: newDefinitions,
-      };
+    const operationKinds: Array<RootOperationType> = [];
+    if (queryType) {
+      operationKinds.push('query');
+    }
+    if (mutationType) {
+      operationKinds.push('mutation');
+    }
+    if (subscriptionType) {
+      operationKinds.push('subscription');
+    }
 
-      this.props.onEdit(print(newOperationDef));
-    };
+    // The placeholder operation isn't in the document, so there's nothing to
+    // delete or move
+    const viewingDefaultOperation =
+      relevantOperations === DEFAULT_DOCUMENT.definitions ||
+      definitions[0] === DEFAULT_OPERATION;
 
     return (
       <div
         ref={ref => {
           this._ref = ref;
         }}
-        style={{
-          fontSize: 12,
-          textOverflow: 'ellipsis',
-          whiteSpace: 'nowrap',
-          margin: 0,
-          padding: 8,
-          fontFamily:
-            'Consolas, Inconsolata, "Droid Sans Mono", Monaco, monospace',
-        }}
-        className="graphiql-explorer-root">
-        {relevantOperations.map(
-          (
-            operation: OperationDefinitionNode | FragmentDefinitionNode,
-            index,
-          ) => {
-            const operationName =
-              operation && operation.name && operation.name.value;
-
-            const operationKind =
-              operation.kind === 'FragmentDefinition'
-                ? 'fragment'
-                : (operation && operation.operation) || 'query';
-
-            const onOperationRename = newName => {
-              const newOperationDef = renameOperation(operation, newName);
-              this.props.onEdit(print(newOperationDef));
-            };
-
-            const fragmentType =
-              operation.kind === 'FragmentDefinition' &&
-              operation.typeCondition.kind === 'NamedType' &&
-              schema.getType(operation.typeCondition.name.value);
-
-            const fragmentFields =
-              fragmentType instanceof GraphQLObjectType
-                ? fragmentType.getFields()
-                : null;
-
-            const fields =
-              operationKind === 'query'
-                ? queryFields
-                : operationKind === 'mutation'
-                ? mutationFields
-                : operationKind === 'subscription'
-                ? subscriptionFields
-                : operation.kind === 'FragmentDefinition'
-                ? fragmentFields
-                : null;
-
-            const fragmentTypeName =
-              operation.kind === 'FragmentDefinition'
-                ? operation.typeCondition.name.value
-                : null;
-
-            return (
-              <RootView
-                key={index}
-                fields={fields}
-                operation={operationKind}
-                name={operationName}
-                definition={operation}
-                onOperationRename={onOperationRename}
-                onTypeName={fragmentTypeName}
-                onEdit={newDefinition => {
-                  const newQuery = {
-                    ...parsedQuery,
-                    definitions: parsedQuery.definitions.map(
-                      existingDefinition =>
-                        existingDefinition === operation
-                          ? newDefinition
-                          : existingDefinition,
-                    ),
-                  };
-
-                  const textualNewQuery = print(newQuery);
-
-                  this.props.onEdit(textualNewQuery);
-                }}
-                schema={schema}
-                getDefaultFieldNames={getDefaultFieldNames}
-                getDefaultScalarArgValue={getDefaultScalarArgValue}
-                makeDefaultArg={makeDefaultArg}
-                onRunOperation={() => {
-                  if (!!this.props.onRunOperation) {
-                    this.props.onRunOperation(operationName);
+        className={
+          this.props.theme === 'dark'
+            ? 'graphiql-explorer-root graphiql-explorer-theme-dark'
+            : 'graphiql-explorer-root'
+        }
+        onKeyDown={this._handleHistoryKeyDown}>
+        <div className="graphiql-explorer-history">
+          <button
+            type="button"
+            className="graphiql-explorer-history-button"
+            title="Undo (Ctrl+Z)"
+            data-history-action="undo"
+            disabled={this.state.undoStack.length === 0}
+            onClick={this._undo}>
+            {'\u21B6 Undo'}
+          </button>
+          <button
+            type="button"
+            className="graphiql-explorer-history-button"
+            title="Redo (Shift+Ctrl+Z)"
+            data-history-action="redo"
+            disabled={this.state.redoStack.length === 0}
+            onClick={this._redo}>
+            {'Redo \u21B7'}
+          </button>
+        </div>
+        <SearchView
+          schema={schema}
+          searchTerm={this.state.searchTerm}
+          searchDepth={
+            this.props.searchDepth != null ? this.props.searchDepth : 3
+          }
+          onChangeSearchTerm={this._setSearchTerm}
+          onSelectResult={this._addSearchResult}
+          styleConfig={styleConfig}
+        />
+        {parseError ? <ParseErrorView error={parseError} /> : null}
+        <div
+          role="tree"
+          className={parseError ? 'graphiql-explorer-read-only' : undefined}
+          aria-disabled={!!parseError}
+          aria-label={this.props.title || 'Explorer'}
+          ref={ref => {
+            this._treeRef = ref;
+          }}
+          onFocus={this._handleTreeFocus}
+          onKeyDown={this._handleTreeKeyDown}>
+          {relevantOperations.map(
+            (
+              operation: OperationDefinitionNode | FragmentDefinitionNode,
+              index,
+            ) => {
+              const operationName =
+                operation && operation.name && operation.name.value;
+
+              const operationKind =
+                operation.kind === 'FragmentDefinition'
+                  ? 'fragment'
+                  : (operation && operation.operation) || 'query';
+
+              // The placeholder for a document without operations can't be
+              // renamed, as it isn't part of the document
+              const onOperationRename = newName => {
+                if (definitions.indexOf(operation) !== -1) {
+                  editDocument(document =>
+                    renameOperation(document, operation, newName),
+                  );
+                }
+              };
+
+              const fragmentType =
+                operation.kind === 'FragmentDefinition' &&
+                operation.typeCondition.kind === 'NamedType' &&
+                schema.getType(operation.typeCondition.name.value);
+
+              // Union fragments have no fields of their own, only the
+              // member types that RootView lists below them
+              const fragmentFields =
+                isObjectType(fragmentType) || isInterfaceType(fragmentType)
+                  ? fragmentType.getFields()
+                  : null;
+
+              const fields = filterFields(
+                operationKind === 'query'
+                  ? queryFields
+                  : operationKind === 'mutation'
+                  ? mutationFields
+                  : operationKind === 'subscription'
+                  ? subscriptionFields
+                  : operation.kind === 'FragmentDefinition'
+                  ? fragmentFields
+                  : null,
+                this.state.searchTerm,
+              );
+
+              const type =
+                operationKind === 'query'
+                  ? queryType
+                  : operationKind === 'mutation'
+                  ? mutationType
+                  : operationKind === 'subscription'
+                  ? subscriptionType
+                  : fragmentType || null;
+
+              const fragmentTypeName =
+                operation.kind === 'FragmentDefinition'
+                  ? operation.typeCondition.name.value
+                  : null;
+
+              const key = operationKey(operation, index);
+
+              return (
+                <RootView
+                  validation={validation}
+                  key={rootViewKeys[index]}
+                  type={type}
+                  fields={fields}
+                  availableFragments={fragments.filter(
+                    fragment => fragment !== operation,
+                  )}
+                  operation={operationKind}
+                  name={operationName}
+                  definition={operation}
+                  onOperationRename={onOperationRename}
+                  onTypeName={fragmentTypeName}
+                  collapsed={!!this.state.collapsedOperations[key]}
+                  onToggleCollapsed={() => this._toggleOperationCollapsed(key)}
+                  operationKinds={operationKinds}
+                  onOperationDelete={
+                    viewingDefaultOperation
+                      ? null
+                      : () =>
+                          editDocument(document =>
+                            deleteOperation(document, operation),
+                          )
                   }
-                }}
-                styleConfig={styleConfig}
-              />
-            );
-          },
-        )}
+                  onOperationDuplicate={
+                    viewingDefaultOperation
+                      ? null
+                      : () =>
+                          editDocument(document =>
+                            duplicateOperation(document, operation),
+                          )
+                  }
+                  onOperationMoveUp={
+                    viewingDefaultOperation || index === 0
+                      ? null
+                      : () =>
+                          editDocument(document =>
+                            moveOperation(document, operation, -1),
+                          )
+                  }
+                  onOperationMoveDown={
+                    viewingDefaultOperation ||
+                    index === relevantOperations.length - 1
+                      ? null
+                      : () =>
+                          editDocument(document =>
+                            moveOperation(document, operation, 1),
+                          )
+                  }
+                  onOperationRetype={
+                    !viewingDefaultOperation &&
+                    operation.kind === 'OperationDefinition'
+                      ? kind =>
+                          editDocument(document =>
+                            retypeOperation(schema, document, operation, kind),
+                          )
+                      : null
+                  }
+                  onEdit={(newDefinition, options) => {
+                    const newQuery = {
+                      ...parsedQuery,
+                      definitions: parsedQuery.definitions.map(
+                        existingDefinition =>
+                          existingDefinition === operation
+                            ? newDefinition
+                            : existingDefinition,
+                      ),
+                    };
+
+                    this._onEdit(parsedQuery, newQuery);
+                    if (options && options.variables && !parseError) {
+                      this._onEditVariables(options.variables);
+                    }
+                  }}
+                  variables={variables}
+                  schema={schema}
+                  getDefaultFieldNames={getDefaultFieldNames}
+                  autoSelectDepth={this.props.autoSelectDepth || 0}
+                  getDefaultScalarArgValue={getDefaultScalarArgValue}
+                  scalarInputs={scalarInputs}
+                  makeDefaultArg={makeDefaultArg}
+                  isBetaField={this.props.isBetaField}
+                  treeWindow={this._treeWindow}
+                  getFieldCost={this.props.getFieldCost || defaultGetFieldCost}
+                  complexityLimits={this.props.complexityLimits}
+                  onRunOperation={() => {
+                    if (!!this.props.onRunOperation) {
+                      this.props.onRunOperation(operationName);
+                    }
+                  }}
+                  showTypes={!!this.props.showTypes}
+                  onShowDoc={this.props.onShowDoc}
+                  styleConfig={styleConfig}
+                />
+              );
+            },
+          )}
+        </div>
         <div
-          className="variable-editor-title"
+          className="variable-editor-title graphiql-explorer-actions"
           style={styleConfig.styles.explorerActionsStyle}>
           {!!queryFields ? (
             <button
-              className={'toolbar-button'}
+              className="toolbar-button graphiql-explorer-button"
               style={styleConfig.styles.buttonStyle}
               type="link"
-              onClick={() => addOperation('query')}>
+              disabled={!!parseError}
+              onClick={() => addNewOperation('query')}>
               + ADD NEW QUERY
             </button>
           ) : null}
           {!!mutationFields ? (
             <button
-              className={'toolbar-button'}
+              className="toolbar-button graphiql-explorer-button"
               style={styleConfig.styles.buttonStyle}
               type="link"
-              onClick={() => addOperation('mutation')}>
+              disabled={!!parseError}
+              onClick={() => addNewOperation('mutation')}>
               + ADD NEW MUTATION
             </button>
           ) : null}
           {!!subscriptionFields ? (
             <button
-              className={'toolbar-button'}
+              className="toolbar-button graphiql-explorer-button"
               style={styleConfig.styles.buttonStyle}
               type="link"
-              onClick={() => addOperation('subscription')}>
+              disabled={!!parseError}
+              onClick={() => addNewOperation('subscription')}>
               + ADD NEW SUBSCRIPTION
             </button>
           ) : null}
@@ -1913,9 +6076,9 @@ class ErrorBoundary extends React.Component<
   render() {
     if (this.state.hasError) {
       return (
-        <div style={{padding: 18, fontFamily: 'sans-serif'}}>
+        <div className="graphiql-explorer-error">
           <div>Something went wrong</div>
-          <details style={{whiteSpace: 'pre-wrap'}}>
+          <details className="graphiql-explorer-error-details">
             {this.state.error ? this.state.error.toString() : null}
             <br />
             {this.state.errorInfo ? this.state.errorInfo.componentStack : null}
@@ -1929,6 +6092,7 @@ class ErrorBoundary extends React.Component<
 
 class ExplorerWrapper extends React.PureComponent<Props, {}> {
   static defaultValue = defaultValue;
+  static defaultScalarInputs = defaultScalarInputs;
   static defaultProps = {
     width: 380,
     title: 'Explorer',
@@ -1938,11 +6102,13 @@ class ExplorerWrapper extends React.PureComponent<Props, {}> {
     const attribution = this.props.showAttribution ? <Attribution /> : null;
     return (
       <div
-        className="historyPaneWrap"
+        className={
+          this.props.theme === 'dark'
+            ? 'historyPaneWrap graphiql-explorer-pane graphiql-explorer-theme-dark'
+            : 'historyPaneWrap graphiql-explorer-pane'
+        }
         style={{
-          height: '100%',
           width: this.props.width,
-          zIndex: 7,
           display: this.props.explorerIsOpen ? 'block' : 'none',
         }}>
         <div className="history-title-bar">
@@ -1956,14 +6122,7 @@ class ExplorerWrapper extends React.PureComponent<Props, {}> {
           </div>
         </div>
         <div className="history-contents">
-          <div
-            style={{
-              overflow: 'scroll',
-              width: '100%',
-              display: 'flex',
-              flexDirection: 'column',
-              minHeight: '100%',
-            }}>
+          <div className="graphiql-explorer-contents">
             <ErrorBoundary>
               <Explorer {...this.props} />
             </ErrorBoundary>
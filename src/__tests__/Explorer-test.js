@@ -0,0 +1,270 @@
+import './dom';
+
+import {expect} from 'chai';
+import {describe, it} from 'mocha';
+import {
+  GraphQLInt,
+  GraphQLObjectType,
+  GraphQLSchema,
+  buildSchema,
+} from 'graphql';
+import * as React from 'react';
+import * as ReactDOM from 'react-dom';
+import {Simulate} from 'react-dom/test-utils';
+
+import Explorer from '../Explorer';
+
+const schema = buildSchema(`
+  type User {
+    id: ID!
+    name: String
+  }
+
+  scalar JSON
+
+  enum Role {
+    ADMIN
+    USER
+  }
+
+  type Repo {
+    title: String
+  }
+
+  type Query {
+    meta: String
+    viewer: User
+    repo: Repo
+    search(filter: JSON): String
+    tagged(tags: [String]): String
+    members(role: Role): String
+  }
+`);
+
+// Renders an explorer that takes its own edits, like GraphiQL does
+function renderExplorer(query, props = {}) {
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  const explorer = {container, query};
+  const render = () =>
+    ReactDOM.render(
+      <Explorer
+        schema={schema}
+        query={explorer.query}
+        explorerIsOpen={true}
+        onToggleExplorer={() => {}}
+        onEdit={query => {
+          explorer.query = query;
+          render();
+        }}
+        {...props}
+      />,
+      container,
+    );
+  render();
+  return explorer;
+}
+
+// Types into an input the way React sees it
+function type(input, text) {
+  input.value = text;
+  Simulate.change(input);
+}
+
+// The row, the element with the focus, of the field's toggle
+function fieldRow(container, fieldName) {
+  let node = container.querySelector(`[data-field-name="${fieldName}"]`);
+  while (node && node.getAttribute('role') !== 'treeitem') {
+    node = node.parentElement;
+  }
+  return node;
+}
+
+describe('Explorer', () => {
+  it('prints a field duplicated with an alias as a new field', () => {
+    const explorer = renderExplorer('query Q {\n  viewer { id } # c\n}\n');
+    Simulate.click(
+      explorer.container.querySelector('[data-field-duplicate="viewer"]'),
+    );
+    expect(explorer.query).to.equal(
+      'query Q {\n  viewer { id } # c\n  viewer2: viewer {\n    id\n  }\n}\n',
+    );
+  });
+
+  it('keeps the last valid alias while the alias typed is not a name', () => {
+    const explorer = renderExplorer('query Q {\n  v: viewer { id }\n}\n');
+    const input = explorer.container.querySelector(
+      '[data-field-alias="viewer"]',
+    );
+    type(input, 'a b');
+    expect(explorer.query).to.equal('query Q {\n  v: viewer { id }\n}\n');
+    expect(input.className).to.contain('graphiql-explorer-warning');
+    type(input, 'ab');
+    expect(explorer.query).to.equal('query Q {\n  ab: viewer { id }\n}\n');
+    expect(input.className).not.to.contain('graphiql-explorer-warning');
+    type(input, '1x');
+    Simulate.blur(input);
+    expect(explorer.query).to.equal('query Q {\n  ab: viewer { id }\n}\n');
+    expect(input.value).to.equal('ab');
+  });
+
+  it('treats a query with only comments as an empty one', () => {
+    const explorer = renderExplorer(
+      '# Welcome to GraphiQL\n#\n# Type queries\n',
+    );
+    expect(explorer.container.querySelector('[data-parse-error]')).to.equal(
+      null,
+    );
+    Simulate.click(
+      explorer.container.querySelector('[data-field-name="meta"]'),
+    );
+    expect(explorer.query).to.equal('query MyQuery {\n  meta\n}\n');
+  });
+
+  it('starts directive arguments with the built-in defaults', () => {
+    const explorer = renderExplorer('query Q {\n  meta\n}\n', {
+      getDefaultScalarArgValue: () => {
+        throw new Error('Only field arguments have a parent field');
+      },
+    });
+    Simulate.click(
+      explorer.container.querySelector('[data-directives-toggle]'),
+    );
+    Simulate.click(
+      explorer.container.querySelector(
+        '[data-directive-name="skip"] .graphiql-explorer-toggle',
+      ),
+    );
+    expect(explorer.query).to.equal('query Q {\n  meta @skip(if: false)\n}\n');
+  });
+
+  it('only takes JSON with object keys that are names', () => {
+    const explorer = renderExplorer('query Q {\n  search(filter: {a: 1})\n}\n');
+    const input = explorer.container.querySelector(
+      '[data-arg-name="filter"] input',
+    );
+    type(input, '{"a-b": 1}');
+    expect(explorer.query).to.equal('query Q {\n  search(filter: {a: 1})\n}\n');
+    expect(input.className).to.contain('graphiql-explorer-warning');
+    type(input, '{"b": [{"c": 2}]}');
+    expect(explorer.query).to.equal(
+      'query Q {\n  search(filter: {b: [{c: 2}]})\n}\n',
+    );
+  });
+
+  it('moves the inputs of a list item along with it', () => {
+    const explorer = renderExplorer(
+      'query Q {\n  tagged(tags: ["a", "b", "c"])\n}\n',
+    );
+    const items = () =>
+      Array.from(explorer.container.querySelectorAll('[data-list-index]'));
+    const [a, b, c] = items();
+    Simulate.click(a.querySelector('[title="Move item down"]'));
+    expect(explorer.query).to.equal(
+      'query Q {\n  tagged(tags: ["b", "a", "c"])\n}\n',
+    );
+    expect(items()).to.have.ordered.members([b, a, c]);
+    Simulate.click(b.querySelector('[title="Remove item"]'));
+    expect(items()).to.have.ordered.members([a, c]);
+  });
+
+  it('shows types that open the docs when showTypes and onShowDoc are set', () => {
+    const shown = [];
+    const explorer = renderExplorer('query Q {\n  viewer { id }\n}\n', {
+      showTypes: true,
+      onShowDoc: type => shown.push(String(type)),
+    });
+    const annotations = explorer.container.querySelectorAll(
+      '[data-type-annotation]',
+    );
+    expect(Array.from(annotations).map(node => node.textContent)).to.include(
+      'ID!',
+    );
+    Simulate.click(annotations[0]);
+    expect(shown).to.have.length(1);
+  });
+
+  it('sets the enum value picked from the list', () => {
+    const explorer = renderExplorer('query Q {\n  members(role: USER)\n}\n');
+    Simulate.click(explorer.container.querySelector('[data-enum-input]'));
+    Simulate.mouseDown(
+      explorer.container.querySelector('[data-enum-value="ADMIN"]'),
+    );
+    expect(explorer.query).to.equal('query Q {\n  members(role: ADMIN)\n}\n');
+  });
+
+  it('leaves Ctrl+Z in inputs to the input', () => {
+    const explorer = renderExplorer('query Q {\n  tagged(tags: ["a"])\n}\n');
+    Simulate.click(
+      explorer.container.querySelector('[data-field-name="meta"]'),
+    );
+    const edited = 'query Q {\n  tagged(tags: ["a"])\n  meta\n}\n';
+    expect(explorer.query).to.equal(edited);
+    Simulate.keyDown(
+      explorer.container.querySelector('[data-list-index] input'),
+      {key: 'z', ctrlKey: true},
+    );
+    expect(explorer.query).to.equal(edited);
+    Simulate.keyDown(explorer.container.querySelector('[role="treeitem"]'), {
+      key: 'z',
+      ctrlKey: true,
+    });
+    expect(explorer.query).to.equal('query Q {\n  tagged(tags: ["a"])\n}\n');
+  });
+
+  it('lists the inline fragments it has no view for', () => {
+    const explorer = renderExplorer(
+      'query Q {\n  viewer {\n    ... on Repo { title }\n    ... @include(if: true) { id }\n  }\n}\n',
+    );
+    const labels = Array.from(
+      explorer.container.querySelectorAll('[data-unknown-node]'),
+    ).map(node => node.getAttribute('data-unknown-node'));
+    expect(labels).to.deep.equal(['... on Repo', '... @include(if: true)']);
+    Simulate.click(
+      explorer.container.querySelector('[data-unknown-remove="... on Repo"]'),
+    );
+    expect(explorer.query).to.equal(
+      'query Q {\n  viewer {\n    ... @include(if: true) { id }\n  }\n}\n',
+    );
+  });
+
+  it('renders the rows it moves the focus to from outside the window', () => {
+    const fieldNames = [];
+    for (let index = 0; index < 150; index++) {
+      fieldNames.push(`f${String(index).padStart(3, '0')}`);
+    }
+    const {container} = renderExplorer('query Q {\n  f000\n}\n', {
+      schema: buildSchema(
+        `type Query { ${fieldNames.map(name => `${name}: Int`).join(' ')} }`,
+      ),
+    });
+    expect(fieldRow(container, 'f049')).not.to.equal(null);
+    expect(fieldRow(container, 'f050')).to.equal(null);
+
+    Simulate.keyDown(fieldRow(container, 'f049'), {key: 'ArrowDown'});
+    expect(document.activeElement).to.equal(fieldRow(container, 'f050'));
+
+    Simulate.keyDown(fieldRow(container, 'f050'), {key: 'End'});
+    expect(document.activeElement).to.equal(fieldRow(container, 'f149'));
+  });
+
+  it('leaves out argument defaults that do not fit their type', () => {
+    const {container} = renderExplorer('query Q {\n  count\n}\n', {
+      schema: new GraphQLSchema({
+        query: new GraphQLObjectType({
+          name: 'Query',
+          fields: {
+            count: {
+              type: GraphQLInt,
+              args: {limit: {type: GraphQLInt, defaultValue: 'ten'}},
+            },
+          },
+        }),
+      }),
+    });
+    expect(container.querySelector('[data-arg-name="limit"]')).not.to.equal(
+      null,
+    );
+    expect(container.querySelector('[data-arg-default]')).to.equal(null);
+  });
+});
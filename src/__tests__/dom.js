@@ -0,0 +1,15 @@
+// A DOM for the tests that render the explorer. It has to be set up before
+// react-dom is loaded, so import this first.
+
+import {JSDOM} from 'jsdom';
+
+const {window} = new JSDOM('<!doctype html><html><body></body></html>');
+
+global.window = window;
+global.document = window.document;
+global.navigator = window.navigator;
+global.HTMLElement = window.HTMLElement;
+global.HTMLInputElement = window.HTMLInputElement;
+global.HTMLSelectElement = window.HTMLSelectElement;
+global.HTMLTextAreaElement = window.HTMLTextAreaElement;
+global.Node = window.Node;
@@ -0,0 +1,355 @@
+import {expect} from 'chai';
+import {describe, it} from 'mocha';
+import {buildSchema, getNamedType, parse, print, validate} from 'graphql';
+
+import {
+  addFieldPath,
+  addOperation,
+  defaultGetDefaultFieldNames,
+  defaultGetDefaultScalarArgValue,
+  deleteOperation,
+  duplicateOperation,
+  moveOperation,
+  renameOperation,
+  replaceArgument,
+  replaceSelection,
+  retypeOperation,
+  setArgument,
+  toggleField,
+} from '../editing';
+import {printDocumentEdit} from '../printing';
+
+const schema = buildSchema(`
+  enum Role {
+    ADMIN
+    USER
+  }
+
+  type User {
+    id: ID!
+    name: String
+    friends(first: Int): [User]
+  }
+
+  type Query {
+    meta: String
+    viewer: User
+    user(id: ID!): User
+    users(first: Int, role: Role): [User]
+  }
+
+  type Mutation {
+    viewer: User
+    setName(id: ID!, name: String): User
+  }
+`);
+
+// Prints the document after checking that it's valid against the schema
+function printValid(document) {
+  expect(validate(schema, document).map(error => error.message)).to.deep.equal(
+    [],
+  );
+  return print(document);
+}
+
+describe('toggleField', () => {
+  it('selects a field and the fields leading up to it', () => {
+    const document = toggleField(schema, parse('query Q { meta }'), [
+      'Q',
+      'viewer',
+      'name',
+    ]);
+    expect(printValid(document)).to.equal(
+      'query Q {\n  meta\n  viewer {\n    name\n  }\n}\n',
+    );
+  });
+
+  it('adds required arguments and default subfields', () => {
+    const document = toggleField(
+      schema,
+      parse('query Q { meta }'),
+      ['Q', 'user'],
+      {
+        autoSelectDepth: 1,
+      },
+    );
+    expect(printValid(document)).to.equal(
+      'query Q {\n  meta\n  user(id: "") {\n    id\n    name\n  }\n}\n',
+    );
+  });
+
+  it('unselects a selected field', () => {
+    const document = toggleField(
+      schema,
+      parse('query Q { meta viewer { id } }'),
+      ['Q', 'meta'],
+    );
+    expect(printValid(document)).to.equal(
+      'query Q {\n  viewer {\n    id\n  }\n}\n',
+    );
+  });
+
+  it('removes the operation along with its last field', () => {
+    const document = toggleField(
+      schema,
+      parse('query A { meta } query B { meta }'),
+      ['A', 'meta'],
+    );
+    expect(printValid(document)).to.equal('query B {\n  meta\n}\n');
+  });
+
+  it('throws on unknown fields', () => {
+    expect(() =>
+      toggleField(schema, parse('query Q { meta }'), ['Q', 'missing']),
+    ).to.throw('Query has no field "missing"');
+  });
+});
+
+describe('addFieldPath', () => {
+  const addPath = (query, fieldNames, autoSelectDepth) => {
+    const document = parse(query);
+    const operation = document.definitions[0];
+    let type = schema.getQueryType();
+    const path = fieldNames.map(fieldName => {
+      const field = type.getFields()[fieldName];
+      type = getNamedType(field.type);
+      return field;
+    });
+    const selectionSet = {
+      ...operation.selectionSet,
+      selections: addFieldPath(
+        operation.selectionSet.selections,
+        path,
+        defaultGetDefaultFieldNames,
+        defaultGetDefaultScalarArgValue,
+        null,
+        autoSelectDepth,
+      ),
+    };
+    return {...document, definitions: [{...operation, selectionSet}]};
+  };
+
+  it('adds default subfields to a new object field at the end', () => {
+    expect(printValid(addPath('{ meta }', ['viewer', 'friends'], 0))).to.equal(
+      '{\n  meta\n  viewer {\n    friends {\n      id\n      name\n    }\n  }\n}\n',
+    );
+  });
+
+  it('keeps the subfields of a field that is already selected', () => {
+    expect(printValid(addPath('{ viewer { name } }', ['viewer'], 2))).to.equal(
+      '{\n  viewer {\n    name\n  }\n}\n',
+    );
+  });
+});
+
+describe('setArgument', () => {
+  it('coerces text to the argument type', () => {
+    let document = parse('query Q { users { id } }');
+    document = setArgument(schema, document, ['Q', 'users'], 'first', '10');
+    document = setArgument(schema, document, ['Q', 'users'], 'role', 'ADMIN');
+    expect(printValid(document)).to.equal(
+      'query Q {\n  users(first: 10, role: ADMIN) {\n    id\n  }\n}\n',
+    );
+  });
+
+  it('replaces and removes arguments', () => {
+    let document = parse('query Q { users(first: 1, role: USER) { id } }');
+    document = setArgument(schema, document, ['Q', 'users'], 'first', {
+      kind: 'IntValue',
+      value: '5',
+    });
+    document = setArgument(schema, document, ['Q', 'users'], 'role', null);
+    expect(printValid(document)).to.equal(
+      'query Q {\n  users(first: 5) {\n    id\n  }\n}\n',
+    );
+  });
+
+  it('throws when the field is not selected', () => {
+    expect(() =>
+      setArgument(
+        schema,
+        parse('query Q { meta }'),
+        ['Q', 'users'],
+        'first',
+        '1',
+      ),
+    ).to.throw('Q.users is not selected');
+  });
+});
+
+describe('replaceSelection', () => {
+  it('adds, replaces and removes one selection', () => {
+    const [meta, viewer] = parse(
+      '{ meta viewer { id } meta }',
+    ).definitions[0].selectionSet.selections;
+    const selections = [meta, viewer];
+    const alias = {...meta, alias: {kind: 'Name', value: 'm'}};
+    expect(replaceSelection(selections, meta, alias)).to.deep.equal([
+      alias,
+      viewer,
+    ]);
+    expect(replaceSelection(selections, viewer, null)).to.deep.equal([meta]);
+    expect(replaceSelection(selections, null, alias)).to.deep.equal([
+      meta,
+      viewer,
+      alias,
+    ]);
+  });
+});
+
+describe('replaceArgument', () => {
+  it('adds, replaces and removes arguments by name', () => {
+    const args = parse('{ users(first: 1) { id } }').definitions[0].selectionSet
+      .selections[0].arguments;
+    const five = {kind: 'IntValue', value: '5'};
+    const role = {kind: 'EnumValue', value: 'ADMIN'};
+    expect(replaceArgument(args, 'first', five)).to.deep.equal([
+      {...args[0], value: five},
+    ]);
+    expect(replaceArgument(args, 'role', role)).to.deep.equal([
+      args[0],
+      {kind: 'Argument', name: {kind: 'Name', value: 'role'}, value: role},
+    ]);
+    expect(replaceArgument(args, 'first', null)).to.deep.equal([]);
+  });
+});
+
+describe('addOperation', () => {
+  it('adds an operation named after its kind', () => {
+    let document = parse('query MyQuery { meta }');
+    document = addOperation(document, 'query');
+    document = addOperation(document, 'mutation');
+    expect(printValid(document)).to.equal(
+      'query MyQuery {\n  meta\n}\n\n' +
+        'query MyQuery2 {\n  __typename\n}\n\n' +
+        'mutation MyMutation {\n  __typename\n}\n',
+    );
+  });
+
+  it('skips names that are already taken', () => {
+    const document = addOperation(
+      parse('query MyQuery { meta } query MyQuery3 { meta }'),
+      'query',
+    );
+    expect(printValid(document)).to.equal(
+      'query MyQuery {\n  meta\n}\n\n' +
+        'query MyQuery3 {\n  meta\n}\n\n' +
+        'query MyQuery2 {\n  __typename\n}\n',
+    );
+  });
+});
+
+describe('renameOperation', () => {
+  it('renames an operation', () => {
+    const document = renameOperation(parse('query A { meta }'), 'A', 'B');
+    expect(printValid(document)).to.equal('query B {\n  meta\n}\n');
+  });
+
+  it('makes an operation anonymous with an empty name', () => {
+    const document = renameOperation(parse('query A { meta }'), 'A', '');
+    expect(printValid(document)).to.equal('{\n  meta\n}\n');
+  });
+
+  it('keeps the name of a fragment', () => {
+    const document = renameOperation(
+      parse('query A { ...F } fragment F on Query { meta }'),
+      'F',
+      null,
+    );
+    expect(printValid(document)).to.equal(
+      'query A {\n  ...F\n}\n\nfragment F on Query {\n  meta\n}\n',
+    );
+  });
+});
+
+describe('deleteOperation', () => {
+  it('removes an operation', () => {
+    const document = deleteOperation(
+      parse('query A { meta } query B { viewer { id } }'),
+      'A',
+    );
+    expect(printValid(document)).to.equal(
+      'query B {\n  viewer {\n    id\n  }\n}\n',
+    );
+  });
+
+  it('throws on unknown operations', () => {
+    expect(() => deleteOperation(parse('query A { meta }'), 'B')).to.throw(
+      'No operation or fragment named "B"',
+    );
+  });
+});
+
+describe('duplicateOperation', () => {
+  it('inserts a copy under a new name after the original', () => {
+    const document = duplicateOperation(
+      parse('query A { meta } query B { meta }'),
+      'A',
+    );
+    expect(printValid(document)).to.equal(
+      'query A {\n  meta\n}\n\nquery A2 {\n  meta\n}\n\nquery B {\n  meta\n}\n',
+    );
+  });
+
+  it("doesn't copy the comments of the original", () => {
+    const original = parse('# About A\nquery A {\n  meta # m\n}\n');
+    const document = duplicateOperation(original, 'A');
+    expect(document.definitions[1].loc).to.equal(undefined);
+    expect(printDocumentEdit(original, document)).to.equal(
+      '# About A\nquery A {\n  meta # m\n}\n\nquery A2 {\n  meta\n}\n',
+    );
+  });
+});
+
+describe('moveOperation', () => {
+  it('swaps an operation with its neighbour', () => {
+    const document = moveOperation(
+      parse('query A { meta } query B { meta }'),
+      'B',
+      -1,
+    );
+    expect(printValid(document)).to.equal(
+      'query B {\n  meta\n}\n\nquery A {\n  meta\n}\n',
+    );
+  });
+
+  it('leaves the document as is when moving past the end', () => {
+    const document = parse('query A { meta } query B { meta }');
+    expect(moveOperation(document, 'B', 1)).to.equal(document);
+    printValid(document);
+  });
+});
+
+describe('retypeOperation', () => {
+  it('keeps the selections that exist on the new root type', () => {
+    const document = retypeOperation(
+      schema,
+      parse('query A { meta viewer { id } }'),
+      'A',
+      'mutation',
+    );
+    expect(printValid(document)).to.equal(
+      'mutation A {\n  viewer {\n    id\n  }\n}\n',
+    );
+  });
+
+  it('falls back to __typename when no selections are left', () => {
+    const document = retypeOperation(
+      schema,
+      parse('query A { meta }'),
+      'A',
+      'mutation',
+    );
+    expect(printValid(document)).to.equal('mutation A {\n  __typename\n}\n');
+  });
+
+  it('throws for fragments and missing root types', () => {
+    const document = parse('query A { ...F } fragment F on Query { meta }');
+    expect(() => retypeOperation(schema, document, 'F', 'mutation')).to.throw(
+      'Only operations have a type',
+    );
+    expect(() =>
+      retypeOperation(schema, document, 'A', 'subscription'),
+    ).to.throw('The schema has no subscription type');
+  });
+});
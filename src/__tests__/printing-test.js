@@ -0,0 +1,196 @@
+import {expect} from 'chai';
+import {describe, it} from 'mocha';
+import {buildSchema, parse} from 'graphql';
+
+import {moveOperation, setArgument, toggleField} from '../editing';
+import {printDocumentEdit} from '../printing';
+
+const schema = buildSchema(`
+  type User {
+    id: ID!
+    name: String
+    friends(first: Int): [User]
+  }
+
+  type Query {
+    meta: String
+    viewer: User
+    user(id: ID!): User
+  }
+`);
+
+// Parses `source`, edits the document and prints the edit back into `source`
+function printEdit(source, edit) {
+  const document = parse(source);
+  return printDocumentEdit(document, edit(document));
+}
+
+describe('printDocumentEdit', () => {
+  it('keeps comments and formatting outside of the edit', () => {
+    const source = [
+      '# The viewer',
+      'query Q {',
+      '  meta    # spaced out',
+      '  viewer {',
+      '    id # the id',
+      '  }',
+      '}',
+      '',
+    ].join('\n');
+    expect(
+      printEdit(source, document =>
+        toggleField(schema, document, ['Q', 'viewer', 'name']),
+      ),
+    ).to.equal(
+      [
+        '# The viewer',
+        'query Q {',
+        '  meta    # spaced out',
+        '  viewer {',
+        '    id # the id',
+        '    name',
+        '  }',
+        '}',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  it('only prints the values that changed', () => {
+    const source = 'query Q {\n  user(id:   "1") { id }\n}\n';
+    expect(
+      printEdit(source, document =>
+        setArgument(schema, document, ['Q', 'user'], 'id', '2'),
+      ),
+    ).to.equal('query Q {\n  user(id:   "2") { id }\n}\n');
+  });
+
+  it('moves the comments above an operation along with it', () => {
+    const source = [
+      '# First',
+      'query A {',
+      '  meta',
+      '}',
+      '',
+      '# Second',
+      'query B {',
+      '  meta # inline',
+      '}',
+      '',
+    ].join('\n');
+    expect(
+      printEdit(source, document => moveOperation(document, 'B', -1)),
+    ).to.equal(
+      [
+        '# Second',
+        'query B {',
+        '  meta # inline',
+        '}',
+        '',
+        '# First',
+        'query A {',
+        '  meta',
+        '}',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  it('removes the comments of a removed field', () => {
+    const source = [
+      'query Q {',
+      '  # The meta field',
+      '  meta # inline',
+      '  viewer {',
+      '    id',
+      '  }',
+      '}',
+      '',
+    ].join('\n');
+    expect(
+      printEdit(source, document =>
+        toggleField(schema, document, ['Q', 'meta']),
+      ),
+    ).to.equal('query Q {\n  viewer {\n    id\n  }\n}\n');
+  });
+
+  it('removes the braces along with the last subfield', () => {
+    const source = 'query Q {\n  viewer {\n    id\n  } # trailing\n  meta\n}\n';
+    expect(
+      printEdit(source, document =>
+        toggleField(schema, document, ['Q', 'viewer', 'id']),
+      ),
+    ).to.equal('query Q {\n  viewer # trailing\n  meta\n}\n');
+  });
+
+  it('prints a copy of a selection without the comments of the original', () => {
+    const source = 'query Q {\n  # The viewer\n  viewer { id } # c\n}\n';
+    expect(
+      printEdit(source, document => {
+        const operation = document.definitions[0];
+        const viewer = operation.selectionSet.selections[0];
+        const copy = {...viewer, alias: {kind: 'Name', value: 'viewer2'}};
+        delete copy.loc;
+        const selections = [viewer, copy];
+        return {
+          ...document,
+          definitions: [
+            {
+              ...operation,
+              selectionSet: {...operation.selectionSet, selections},
+            },
+          ],
+        };
+      }),
+    ).to.equal(
+      'query Q {\n  # The viewer\n  viewer { id } # c\n  viewer2: viewer {\n    id\n  }\n}\n',
+    );
+  });
+
+  it('prints a copy that keeps the location of the original as a new item', () => {
+    const source = 'query Q {\n  viewer { id } # c\n}\n';
+    expect(
+      printEdit(source, document => {
+        const operation = document.definitions[0];
+        const viewer = operation.selectionSet.selections[0];
+        const copy = {...viewer, alias: {kind: 'Name', value: 'viewer2'}};
+        const selections = [viewer, copy];
+        return {
+          ...document,
+          definitions: [
+            {
+              ...operation,
+              selectionSet: {...operation.selectionSet, selections},
+            },
+          ],
+        };
+      }),
+    ).to.equal(
+      'query Q {\n  viewer { id } # c\n  viewer2: viewer {\n    id\n  }\n}\n',
+    );
+  });
+
+  it('keeps the line endings of the source', () => {
+    const source = 'query Q {\r\n  meta\r\n}\r\n';
+    expect(
+      printEdit(source, document =>
+        toggleField(schema, document, ['Q', 'viewer', 'friends', 'id']),
+      ),
+    ).to.equal(
+      'query Q {\r\n  meta\r\n  viewer {\r\n    friends {\r\n      id\r\n    }\r\n  }\r\n}\r\n',
+    );
+  });
+
+  it('keeps the indentation of the source', () => {
+    expect(
+      printEdit('query Q {\n\tmeta\n}\n', document =>
+        toggleField(schema, document, ['Q', 'viewer', 'id']),
+      ),
+    ).to.equal('query Q {\n\tmeta\n\tviewer {\n\t\tid\n\t}\n}\n');
+    expect(
+      printEdit('query Q {\n    meta\n}\n', document =>
+        toggleField(schema, document, ['Q', 'viewer', 'id']),
+      ),
+    ).to.equal('query Q {\n    meta\n    viewer {\n        id\n    }\n}\n');
+  });
+});
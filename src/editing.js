@@ -0,0 +1,1043 @@
+// @flow
+
+// The query edits behind the explorer, as plain functions over the
+// `DocumentNode`. They don't depend on React, so other tools can make the
+// same edits as the explorer, e.g. from the command line.
+//
+// The explorer's views edit the selections and arguments they render with
+// the same functions `toggleField` and `setArgument` are built on, e.g.
+// `newFieldSelection`, `replaceSelection` and `replaceArgument`, rather than
+// with the path based functions themselves: paths can't point into inline
+// fragments or at one of several selections of the same field, and the views
+// bring back what was unchecked when it's checked again.
+
+import {
+  getNamedType,
+  getNullableType,
+  GraphQLObjectType,
+  isCompositeType,
+  isEnumType,
+  isInputObjectType,
+  isInterfaceType,
+  isLeafType,
+  isListType,
+  isNonNullType,
+  isObjectType,
+  isRequiredInputField,
+  isScalarType,
+  isUnionType,
+  doTypesOverlap,
+  TypeNameMetaFieldDef,
+} from 'graphql';
+
+import type {
+  ArgumentNode,
+  DefinitionNode,
+  DocumentNode,
+  FieldNode,
+  FragmentDefinitionNode,
+  GraphQLArgument,
+  GraphQLDirective,
+  GraphQLEnumType,
+  GraphQLField,
+  GraphQLInputField,
+  GraphQLInputType,
+  GraphQLList,
+  GraphQLNamedType,
+  GraphQLScalarType,
+  GraphQLSchema,
+  ObjectFieldNode,
+  OperationDefinitionNode,
+  SelectionNode,
+  SelectionSetNode,
+  ValueNode,
+} from 'graphql';
+
+export type Field = GraphQLField<any, any>;
+
+export type Selections = $ReadOnlyArray<SelectionNode>;
+
+export type GetDefaultScalarArgValue = (
+  parentField: Field,
+  arg: GraphQLArgument | GraphQLInputField,
+  underlyingArgType: GraphQLEnumType | GraphQLScalarType,
+) => ValueNode;
+
+export type MakeDefaultArg = (
+  parentField: Field,
+  arg: GraphQLArgument | GraphQLInputField,
+) => boolean;
+
+export type RootOperationType = 'query' | 'mutation' | 'subscription';
+
+export function capitalize(string: string): string {
+  return string.charAt(0).toUpperCase() + string.slice(1);
+}
+
+export function defaultGetDefaultFieldNames(
+  type: GraphQLObjectType,
+): Array<string> {
+  const fields = type.getFields();
+
+  // Is there an `id` field?
+  if (fields['id']) {
+    const res = ['id'];
+    if (fields['email']) {
+      res.push('email');
+    } else if (fields['name']) {
+      res.push('name');
+    }
+    return res;
+  }
+
+  // Is there an `edges` field?
+  if (fields['edges']) {
+    return ['edges'];
+  }
+
+  // Is there an `node` field?
+  if (fields['node']) {
+    return ['node'];
+  }
+
+  if (fields['nodes']) {
+    return ['nodes'];
+  }
+
+  // Include all leaf-type fields.
+  const leafFieldNames = [];
+  Object.keys(fields).forEach(fieldName => {
+    if (isLeafType(fields[fieldName].type)) {
+      leafFieldNames.push(fieldName);
+    }
+  });
+
+  if (!leafFieldNames.length) {
+    // No leaf fields, add typename so that the query stays valid
+    return ['__typename'];
+  }
+  return leafFieldNames.slice(0, 2); // Prevent too many fields from being added
+}
+
+export function isRequiredArgument(arg: GraphQLArgument): boolean %checks {
+  return isNonNullType(arg.type) && arg.defaultValue === undefined;
+}
+
+export function coerceArgValue(
+  argType: GraphQLScalarType | GraphQLEnumType | GraphQLList<any>,
+  value: string,
+): ValueNode {
+  if (isListType(argType)) {
+    // A single value typed into a list argument becomes a one-item list
+    const itemType = getNullableType(argType.ofType);
+    return {
+      kind: 'ListValue',
+      values:
+        isLeafType(itemType) || isListType(itemType)
+          ? [coerceArgValue(itemType, value)]
+          : [],
+    };
+  } else if (isScalarType(argType)) {
+    try {
+      switch (argType.name) {
+        case 'String':
+          return {
+            kind: 'StringValue',
+            value: String(argType.parseValue(value)),
+          };
+        case 'Float':
+          return {
+            kind: 'FloatValue',
+            value: String(argType.parseValue(parseFloat(value))),
+          };
+        case 'Int':
+          return {
+            kind: 'IntValue',
+            value: String(argType.parseValue(parseInt(value, 10))),
+          };
+        case 'Boolean':
+          try {
+            const parsed = JSON.parse(value);
+            if (typeof parsed === 'boolean') {
+              return {kind: 'BooleanValue', value: parsed};
+            } else {
+              return {kind: 'BooleanValue', value: false};
+            }
+          } catch (e) {
+            return {
+              kind: 'BooleanValue',
+              value: false,
+            };
+          }
+        default:
+          return {
+            kind: 'StringValue',
+            value: String(argType.parseValue(value)),
+          };
+      }
+    } catch (e) {
+      console.error('error coercing arg value', e, value);
+      return {kind: 'StringValue', value: value};
+    }
+  } else {
+    try {
+      const parsedValue = argType.parseValue(value);
+      if (parsedValue) {
+        return {kind: 'EnumValue', value: String(parsedValue)};
+      } else {
+        return {kind: 'EnumValue', value: argType.getValues()[0].name};
+      }
+    } catch (e) {
+      return {kind: 'EnumValue', value: argType.getValues()[0].name};
+    }
+  }
+}
+
+export function defaultValue(
+  argType: GraphQLEnumType | GraphQLScalarType | GraphQLList<any>,
+): ValueNode {
+  if (isListType(argType)) {
+    const itemType = getNullableType(argType.ofType);
+    return {
+      kind: 'ListValue',
+      values:
+        isLeafType(itemType) || isListType(itemType)
+          ? [defaultValue(itemType)]
+          : [],
+    };
+  } else if (isEnumType(argType)) {
+    return {kind: 'EnumValue', value: argType.getValues()[0].name};
+  } else {
+    switch (argType.name) {
+      case 'String':
+        return {kind: 'StringValue', value: ''};
+      case 'Float':
+        return {kind: 'FloatValue', value: '1.5'};
+      case 'Int':
+        return {kind: 'IntValue', value: '10'};
+      case 'Boolean':
+        return {kind: 'BooleanValue', value: false};
+      default:
+        return {kind: 'StringValue', value: ''};
+    }
+  }
+}
+
+export function defaultGetDefaultScalarArgValue(
+  parentField: Field,
+  arg: GraphQLArgument | GraphQLInputField,
+  argType: GraphQLEnumType | GraphQLScalarType,
+): ValueNode {
+  return defaultValue(argType);
+}
+
+export function fragmentFitsType(
+  schema: GraphQLSchema,
+  fragment: FragmentDefinitionNode,
+  parentType: GraphQLNamedType,
+): boolean {
+  const fragmentType = schema.getType(fragment.typeCondition.name.value);
+  return (
+    !!fragmentType &&
+    isCompositeType(fragmentType) &&
+    isCompositeType(parentType) &&
+    doTypesOverlap(schema, fragmentType, parentType)
+  );
+}
+
+// `parentField` is null for directive arguments, which have no field to pass
+// to the callbacks and get the built-in defaults instead
+export function defaultInputValue(
+  getDefaultScalarArgValue: GetDefaultScalarArgValue,
+  makeDefaultArg: ?MakeDefaultArg,
+  parentField: ?Field,
+  arg: GraphQLArgument | GraphQLInputField,
+  inputType: GraphQLInputType,
+): ?ValueNode {
+  const nullableType = getNullableType(inputType);
+  if (isListType(nullableType)) {
+    const item = defaultInputValue(
+      getDefaultScalarArgValue,
+      makeDefaultArg,
+      parentField,
+      arg,
+      nullableType.ofType,
+    );
+    return {kind: 'ListValue', values: item ? [item] : []};
+  } else if (isInputObjectType(nullableType)) {
+    const fields = nullableType.getFields();
+    return {
+      kind: 'ObjectValue',
+      fields: defaultInputObjectFields(
+        getDefaultScalarArgValue,
+        makeDefaultArg,
+        parentField,
+        Object.keys(fields).map(k => fields[k]),
+      ),
+    };
+  } else if (isLeafType(nullableType)) {
+    return parentField
+      ? getDefaultScalarArgValue(parentField, arg, nullableType)
+      : defaultValue(nullableType);
+  }
+  return null;
+}
+
+export function defaultInputObjectFields(
+  getDefaultScalarArgValue: GetDefaultScalarArgValue,
+  makeDefaultArg: ?MakeDefaultArg,
+  parentField: ?Field,
+  fields: Array<GraphQLInputField>,
+): Array<ObjectFieldNode> {
+  const nodes = [];
+  for (const field of fields) {
+    if (
+      isRequiredInputField(field) ||
+      (makeDefaultArg && parentField && makeDefaultArg(parentField, field))
+    ) {
+      const value = defaultInputValue(
+        getDefaultScalarArgValue,
+        makeDefaultArg,
+        parentField,
+        field,
+        field.type,
+      );
+      if (value) {
+        nodes.push({
+          kind: 'ObjectField',
+          name: {kind: 'Name', value: field.name},
+          value,
+        });
+      }
+    }
+  }
+  return nodes;
+}
+
+export function defaultArgs(
+  getDefaultScalarArgValue: GetDefaultScalarArgValue,
+  makeDefaultArg: ?MakeDefaultArg,
+  field: Field,
+): Array<ArgumentNode> {
+  return defaultArgumentNodes(
+    getDefaultScalarArgValue,
+    makeDefaultArg,
+    field,
+    field.args,
+  );
+}
+
+// Only the required arguments, with the built-in defaults, see
+// `defaultInputValue`
+export function defaultDirectiveArgs(
+  directive: GraphQLDirective,
+): Array<ArgumentNode> {
+  return defaultArgumentNodes(
+    defaultGetDefaultScalarArgValue,
+    null,
+    null,
+    directive.args,
+  );
+}
+
+function defaultArgumentNodes(
+  getDefaultScalarArgValue: GetDefaultScalarArgValue,
+  makeDefaultArg: ?MakeDefaultArg,
+  field: ?Field,
+  fieldArgs: $ReadOnlyArray<GraphQLArgument>,
+): Array<ArgumentNode> {
+  const args = [];
+  for (const arg of fieldArgs) {
+    if (
+      isRequiredArgument(arg) ||
+      (makeDefaultArg && field && makeDefaultArg(field, arg))
+    ) {
+      const value = defaultInputValue(
+        getDefaultScalarArgValue,
+        makeDefaultArg,
+        field,
+        arg,
+        arg.type,
+      );
+      if (value) {
+        args.push({
+          kind: 'Argument',
+          name: {kind: 'Name', value: arg.name},
+          value,
+        });
+      }
+    }
+  }
+  return args;
+}
+
+// Connections shouldn't use up the depth before reaching their nodes
+function isConnectionWrapper(
+  parentType: GraphQLNamedType,
+  fieldName: string,
+): boolean {
+  return (
+    /(Connection|Edge)$/.test(parentType.name) &&
+    ['edges', 'node', 'nodes'].indexOf(fieldName) !== -1
+  );
+}
+
+// Selects `getDefaultFieldNames` of `type`, and of their types in turn,
+// `depth` levels deep. Returns null when `type` can't be filled in, either
+// because we're out of depth or because it's already on `typePath`.
+export function defaultSelectionSet(
+  getDefaultFieldNames: (type: GraphQLObjectType) => Array<string>,
+  getDefaultScalarArgValue: GetDefaultScalarArgValue,
+  makeDefaultArg: ?MakeDefaultArg,
+  type: GraphQLNamedType,
+  depth: number,
+  typePath: Array<string>,
+): ?SelectionSetNode {
+  const typename: FieldNode = {
+    kind: 'Field',
+    name: {kind: 'Name', value: '__typename'},
+  };
+  if (depth < 1 || typePath.indexOf(type.name) !== -1) {
+    return null;
+  } else if (isUnionType(type)) {
+    return {kind: 'SelectionSet', selections: [typename]};
+  } else if (!isObjectType(type) && !isInterfaceType(type)) {
+    return null;
+  }
+  const fields = type.getFields();
+  const selections: Array<FieldNode> = [];
+  // Interfaces have fields too, even if `getDefaultFieldNames` is typed
+  // for object types
+  for (const fieldName of getDefaultFieldNames((type: any))) {
+    const field = fields[fieldName];
+    if (!field) {
+      if (fieldName === '__typename') {
+        selections.push(typename);
+      }
+      continue;
+    }
+    const selection: FieldNode = {
+      kind: 'Field',
+      name: {kind: 'Name', value: fieldName},
+      arguments: defaultArgs(getDefaultScalarArgValue, makeDefaultArg, field),
+    };
+    const fieldType = getNamedType(field.type);
+    if (isCompositeType(fieldType)) {
+      const selectionSet = defaultSelectionSet(
+        getDefaultFieldNames,
+        getDefaultScalarArgValue,
+        makeDefaultArg,
+        fieldType,
+        isConnectionWrapper(type, fieldName) ? depth : depth - 1,
+        [...typePath, type.name],
+      );
+      // Leave out composite fields we can't select anything on
+      if (selectionSet) {
+        selections.push({...selection, selectionSet});
+      }
+    } else {
+      selections.push(selection);
+    }
+  }
+  return {
+    kind: 'SelectionSet',
+    // Keep the document valid if none of the defaults could be added
+    selections: selections.length ? selections : [typename],
+  };
+}
+
+// Add this as the default field as it guarantees a valid selectionSet. The
+// printer recognizes it to mark it with a comment.
+export const PLACEHOLDER_SELECTION_SET: SelectionSetNode = {
+  kind: 'SelectionSet',
+  selections: [
+    {
+      kind: 'Field',
+      name: {kind: 'Name', value: '__typename'},
+      arguments: [],
+      directives: [],
+    },
+  ],
+};
+
+// Picks a name that no other operation or fragment in the document uses,
+// e.g. MyQuery2 for a copy of MyQuery
+function uniqueDefinitionName(
+  definitions: $ReadOnlyArray<DefinitionNode>,
+  baseName: string,
+): string {
+  const names = definitions.map(definition =>
+    (definition.kind === 'OperationDefinition' ||
+      definition.kind === 'FragmentDefinition') &&
+    definition.name
+      ? definition.name.value
+      : null,
+  );
+  const stem = baseName.replace(/\d+$/, '');
+  let name = baseName;
+  let count = 1;
+  while (names.indexOf(name) !== -1) {
+    count++;
+    name = `${stem}${count}`;
+  }
+  return name;
+}
+
+// Keeps the selections that are still valid on another root type
+function selectionsForRootType(
+  schema: GraphQLSchema,
+  selections: Selections,
+  rootType: GraphQLObjectType,
+  fragments: $ReadOnlyArray<FragmentDefinitionNode>,
+): Selections {
+  const fields = rootType.getFields();
+  return selections.filter(selection => {
+    switch (selection.kind) {
+      case 'Field':
+        return (
+          selection.name.value === '__typename' ||
+          !!fields[selection.name.value]
+        );
+      case 'InlineFragment':
+        return (
+          !selection.typeCondition ||
+          selection.typeCondition.name.value === rootType.name
+        );
+      case 'FragmentSpread':
+        const spreadName = selection.name.value;
+        const fragment = fragments.find(
+          fragment => fragment.name.value === spreadName,
+        );
+        return !!fragment && fragmentFitsType(schema, fragment, rootType);
+      default:
+        return false;
+    }
+  });
+}
+
+// Selects every field along `path`, reusing the unaliased selections that are
+// already there. A new object field at the end of the path gets its default
+// subfields, at least one level deep so that the document stays valid.
+export function addFieldPath(
+  selections: Selections,
+  path: Array<Field>,
+  getDefaultFieldNames: (type: GraphQLObjectType) => Array<string>,
+  getDefaultScalarArgValue: GetDefaultScalarArgValue,
+  makeDefaultArg: ?MakeDefaultArg,
+  autoSelectDepth: number,
+): Selections {
+  const [field, ...rest] = path;
+  if (!field) {
+    return selections;
+  }
+  const existing = selections.find(
+    selection =>
+      selection.kind === 'Field' &&
+      !selection.alias &&
+      selection.name.value === field.name,
+  );
+  const existingField = existing && existing.kind === 'Field' ? existing : null;
+  const childSelections =
+    existingField && existingField.selectionSet
+      ? existingField.selectionSet.selections
+      : [];
+
+  const nextField: FieldNode = {
+    kind: 'Field',
+    alias: undefined,
+    name: {kind: 'Name', value: field.name},
+    arguments: existingField
+      ? existingField.arguments
+      : defaultArgs(getDefaultScalarArgValue, makeDefaultArg, field),
+    directives: existingField ? existingField.directives : [],
+    selectionSet: rest.length
+      ? {
+          kind: 'SelectionSet',
+          selections: addFieldPath(
+            childSelections,
+            rest,
+            getDefaultFieldNames,
+            getDefaultScalarArgValue,
+            makeDefaultArg,
+            autoSelectDepth,
+          ),
+        }
+      : existingField
+      ? existingField.selectionSet
+      : defaultSelectionSet(
+          getDefaultFieldNames,
+          getDefaultScalarArgValue,
+          makeDefaultArg,
+          getNamedType(field.type),
+          Math.max(1, autoSelectDepth),
+          [],
+        ) || undefined,
+  };
+
+  return existingField
+    ? selections.map(selection =>
+        selection === existingField ? nextField : selection,
+      )
+    : [...selections, nextField];
+}
+
+// Options for the fields and arguments that edits add, with the same
+// defaults as the explorer's props of the same names
+export type EditOptions = {
+  getDefaultFieldNames?: ?(type: GraphQLObjectType) => Array<string>,
+  getDefaultScalarArgValue?: ?GetDefaultScalarArgValue,
+  makeDefaultArg?: ?MakeDefaultArg,
+  // How many levels of default subfields to select along with a new field
+  autoSelectDepth?: number,
+};
+
+type EditableDefinition = OperationDefinitionNode | FragmentDefinitionNode;
+
+// An operation or fragment, either by name or the node itself. The empty
+// string names an anonymous operation.
+export type DefinitionRef = string | EditableDefinition;
+
+// The name of an operation or fragment, followed by the response keys of the
+// fields leading to a field, e.g. ['MyQuery', 'viewer', 'login']
+export type FieldPath = $ReadOnlyArray<string>;
+
+// The selection a newly checked field gets: its default arguments and, when
+// `depth` allows, its default subfields
+export function newFieldSelection(
+  field: Field,
+  options: EditOptions,
+  depth: number,
+): FieldNode {
+  const getDefaultScalarArgValue =
+    options.getDefaultScalarArgValue || defaultGetDefaultScalarArgValue;
+  const selection: FieldNode = {
+    kind: 'Field',
+    name: {kind: 'Name', value: field.name},
+    arguments: defaultArgs(
+      getDefaultScalarArgValue,
+      options.makeDefaultArg,
+      field,
+    ),
+  };
+  const selectionSet = defaultSelectionSet(
+    options.getDefaultFieldNames || defaultGetDefaultFieldNames,
+    getDefaultScalarArgValue,
+    options.makeDefaultArg,
+    getNamedType(field.type),
+    depth,
+    [],
+  );
+  return selectionSet ? {...selection, selectionSet} : selection;
+}
+
+function editableDefinitions(
+  document: DocumentNode,
+): Array<EditableDefinition> {
+  return document.definitions
+    .map(definition =>
+      definition.kind === 'OperationDefinition' ||
+      definition.kind === 'FragmentDefinition'
+        ? definition
+        : null,
+    )
+    .filter(Boolean);
+}
+
+function findDefinition(
+  document: DocumentNode,
+  ref: DefinitionRef,
+): EditableDefinition {
+  const definition = editableDefinitions(document).find(definition =>
+    typeof ref === 'string'
+      ? (definition.name ? definition.name.value : '') === ref
+      : definition === ref,
+  );
+  if (!definition) {
+    throw new Error(
+      typeof ref === 'string'
+        ? `No operation or fragment named "${ref}"`
+        : 'The definition is not part of the document',
+    );
+  }
+  return definition;
+}
+
+function replaceDefinition(
+  document: DocumentNode,
+  definition: DefinitionNode,
+  newDefinition: ?DefinitionNode,
+): DocumentNode {
+  const definitions = [];
+  document.definitions.forEach(existingDefinition => {
+    if (existingDefinition !== definition) {
+      definitions.push(existingDefinition);
+    } else if (newDefinition) {
+      definitions.push(newDefinition);
+    }
+  });
+  return {...document, definitions};
+}
+
+function rootType(
+  schema: GraphQLSchema,
+  kind: RootOperationType,
+): ?GraphQLObjectType {
+  return kind === 'query'
+    ? schema.getQueryType()
+    : kind === 'mutation'
+    ? schema.getMutationType()
+    : schema.getSubscriptionType();
+}
+
+function definitionType(
+  schema: GraphQLSchema,
+  definition: EditableDefinition,
+): GraphQLNamedType {
+  const type =
+    definition.kind === 'FragmentDefinition'
+      ? schema.getType(definition.typeCondition.name.value)
+      : rootType(schema, definition.operation);
+  if (!type) {
+    throw new Error(
+      definition.kind === 'FragmentDefinition'
+        ? `Unknown type "${definition.typeCondition.name.value}"`
+        : `The schema has no ${definition.operation} type`,
+    );
+  }
+  return type;
+}
+
+// Puts `newSelection` in the place of `selection`. Without `selection`,
+// `newSelection` is added at the end, and without `newSelection`,
+// `selection` is removed.
+export function replaceSelection(
+  selections: Selections,
+  selection: ?SelectionNode,
+  newSelection: ?SelectionNode,
+): Selections {
+  if (!selection) {
+    return newSelection ? [...selections, newSelection] : selections;
+  }
+  const newSelections = [];
+  selections.forEach(existingSelection => {
+    if (existingSelection !== selection) {
+      newSelections.push(existingSelection);
+    } else if (newSelection) {
+      newSelections.push(newSelection);
+    }
+  });
+  return newSelections;
+}
+
+// Sets the argument `name` to `value`, keeping the rest of the argument, or
+// adds it at the end. A null `value` removes the argument.
+export function replaceArgument(
+  args: $ReadOnlyArray<ArgumentNode>,
+  name: string,
+  value: ?ValueNode,
+): $ReadOnlyArray<ArgumentNode> {
+  const existing = args.find(argNode => argNode.name.value === name);
+  if (!value) {
+    return args.filter(argNode => argNode !== existing);
+  } else if (existing) {
+    const newArg: ArgumentNode = {...existing, value};
+    return args.map(argNode => (argNode === existing ? newArg : argNode));
+  }
+  return [
+    ...args,
+    {kind: 'Argument', name: {kind: 'Name', value: name}, value},
+  ];
+}
+
+// Applies `edit` to the field at the end of `keys`, selecting the fields on
+// the way there if they aren't yet. `edit` gets the current selection, if
+// any, and returns the new one, or null to remove it.
+function editFieldAt(
+  type: GraphQLNamedType,
+  selections: Selections,
+  keys: $ReadOnlyArray<string>,
+  options: EditOptions,
+  edit: (field: Field, selection: ?FieldNode) => ?FieldNode,
+): Selections {
+  const [key, ...rest] = keys;
+  const existing = selections.find(
+    selection =>
+      selection.kind === 'Field' &&
+      (selection.alias || selection.name).value === key,
+  );
+  const selection = existing && existing.kind === 'Field' ? existing : null;
+  const fieldName = selection ? selection.name.value : key;
+  const field =
+    fieldName === '__typename'
+      ? TypeNameMetaFieldDef
+      : (isObjectType(type) || isInterfaceType(type)) &&
+        type.getFields()[fieldName];
+  if (!field) {
+    throw new Error(`${type.name} has no field "${fieldName}"`);
+  }
+
+  let newSelection: ?FieldNode;
+  if (rest.length === 0) {
+    newSelection = edit(field, selection);
+  } else {
+    const parent = selection || newFieldSelection(field, options, 0);
+    newSelection = {
+      ...parent,
+      selectionSet: {
+        kind: 'SelectionSet',
+        ...parent.selectionSet,
+        selections: editFieldAt(
+          getNamedType(field.type),
+          parent.selectionSet ? parent.selectionSet.selections : [],
+          rest,
+          options,
+          edit,
+        ),
+      },
+    };
+  }
+
+  return replaceSelection(selections, selection, newSelection);
+}
+
+function editField(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  path: FieldPath,
+  options: EditOptions,
+  edit: (field: Field, selection: ?FieldNode) => ?FieldNode,
+): DocumentNode {
+  const [name, ...keys] = path;
+  if (keys.length === 0) {
+    throw new Error('The path has no fields');
+  }
+  const definition = findDefinition(document, name);
+  const selections = editFieldAt(
+    definitionType(schema, definition),
+    definition.selectionSet.selections,
+    keys,
+    options,
+    edit,
+  );
+  // Like in the explorer, unchecking the last field removes the definition
+  return replaceDefinition(
+    document,
+    definition,
+    selections.length === 0
+      ? null
+      : definition.kind === 'FragmentDefinition'
+      ? ({
+          ...definition,
+          selectionSet: {...definition.selectionSet, selections},
+        }: FragmentDefinitionNode)
+      : ({
+          ...definition,
+          selectionSet: {...definition.selectionSet, selections},
+        }: OperationDefinitionNode),
+  );
+}
+
+// Checks the field at `path` with its default arguments and subfields, or
+// unchecks it if it's already selected. The fields leading up to it are
+// checked as well.
+export function toggleField(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  path: FieldPath,
+  options?: EditOptions = {},
+): DocumentNode {
+  return editField(schema, document, path, options, (field, selection) =>
+    selection
+      ? null
+      : newFieldSelection(field, options, options.autoSelectDepth || 0),
+  );
+}
+
+// Sets an argument of the field at `path`, which has to be selected. Text is
+// coerced to the argument's type, the way the explorer's inputs do, and a
+// null `value` removes the argument.
+export function setArgument(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  path: FieldPath,
+  name: string,
+  value: ?(ValueNode | string),
+): DocumentNode {
+  return editField(schema, document, path, {}, (field, selection) => {
+    if (!selection) {
+      throw new Error(`${path.join('.')} is not selected`);
+    }
+    const arg = field.args.find(arg => arg.name === name);
+    if (!arg) {
+      throw new Error(`${field.name} has no argument "${name}"`);
+    }
+    let valueNode: ?ValueNode = null;
+    if (typeof value === 'string') {
+      const argType = getNullableType(arg.type);
+      if (!isLeafType(argType) && !isListType(argType)) {
+        throw new Error(`Can't set ${argType.name} "${name}" from text`);
+      }
+      valueNode = coerceArgValue(argType, value);
+    } else {
+      valueNode = value;
+    }
+    return {
+      ...selection,
+      arguments: replaceArgument(selection.arguments || [], name, valueNode),
+    };
+  });
+}
+
+// Adds an empty operation named after its kind, e.g. MyMutation2 for the
+// second mutation, or the next name that isn't taken
+export function addOperation(
+  document: DocumentNode,
+  kind: RootOperationType,
+): DocumentNode {
+  const siblings = document.definitions.filter(
+    definition =>
+      definition.kind === 'OperationDefinition' &&
+      definition.operation === kind,
+  );
+  const newDefinition: OperationDefinitionNode = {
+    kind: 'OperationDefinition',
+    operation: kind,
+    name: {
+      kind: 'Name',
+      value: uniqueDefinitionName(
+        document.definitions,
+        `My${capitalize(kind)}${
+          siblings.length === 0 ? '' : siblings.length + 1
+        }`,
+      ),
+    },
+    variableDefinitions: [],
+    directives: [],
+    selectionSet: PLACEHOLDER_SELECTION_SET,
+  };
+  return {...document, definitions: [...document.definitions, newDefinition]};
+}
+
+// An empty or null name makes an operation anonymous
+export function renameOperation(
+  document: DocumentNode,
+  ref: DefinitionRef,
+  name: ?string,
+): DocumentNode {
+  const definition = findDefinition(document, ref);
+  const newName =
+    name == null || name === '' ? null : {kind: 'Name', value: name};
+  return replaceDefinition(
+    document,
+    definition,
+    // Fragments can't be anonymous
+    definition.kind === 'FragmentDefinition'
+      ? ({
+          ...definition,
+          name: newName || definition.name,
+        }: FragmentDefinitionNode)
+      : ({...definition, name: newName || undefined}: OperationDefinitionNode),
+  );
+}
+
+export function deleteOperation(
+  document: DocumentNode,
+  ref: DefinitionRef,
+): DocumentNode {
+  return replaceDefinition(document, findDefinition(document, ref), null);
+}
+
+// Inserts a copy under a new name right after the original
+export function duplicateOperation(
+  document: DocumentNode,
+  ref: DefinitionRef,
+): DocumentNode {
+  const definition = findDefinition(document, ref);
+  const kind =
+    definition.kind === 'FragmentDefinition'
+      ? 'fragment'
+      : definition.operation;
+  const name = {
+    kind: 'Name',
+    value: uniqueDefinitionName(
+      document.definitions,
+      definition.name ? definition.name.value : `My${capitalize(kind)}`,
+    ),
+  };
+  // Without the location of the original, so that printers that keep the
+  // source's text don't take the copy for the original
+  const copy =
+    definition.kind === 'FragmentDefinition'
+      ? ({...definition, name, loc: undefined}: FragmentDefinitionNode)
+      : ({...definition, name, loc: undefined}: OperationDefinitionNode);
+  const index = document.definitions.indexOf(definition);
+  return {
+    ...document,
+    definitions: [
+      ...document.definitions.slice(0, index + 1),
+      copy,
+      ...document.definitions.slice(index + 1),
+    ],
+  };
+}
+
+// Swaps with the neighbouring operation or fragment, skipping any other
+// definitions in the document. Moving past either end changes nothing.
+export function moveOperation(
+  document: DocumentNode,
+  ref: DefinitionRef,
+  offset: number,
+): DocumentNode {
+  const definition = findDefinition(document, ref);
+  const siblings = editableDefinitions(document);
+  const neighbour = siblings[siblings.indexOf(definition) + offset];
+  if (!neighbour) {
+    return document;
+  }
+  return {
+    ...document,
+    definitions: document.definitions.map(existingDefinition =>
+      existingDefinition === definition
+        ? neighbour
+        : existingDefinition === neighbour
+        ? definition
+        : existingDefinition,
+    ),
+  };
+}
+
+// Changes between a query, mutation and subscription, keeping the selections
+// that also exist on the new root type
+export function retypeOperation(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  ref: DefinitionRef,
+  kind: RootOperationType,
+): DocumentNode {
+  const definition = findDefinition(document, ref);
+  const type = rootType(schema, kind);
+  if (definition.kind !== 'OperationDefinition') {
+    throw new Error('Only operations have a type');
+  } else if (!type) {
+    throw new Error(`The schema has no ${kind} type`);
+  }
+  const selections = selectionsForRootType(
+    schema,
+    definition.selectionSet.selections,
+    type,
+    document.definitions
+      .map(definition =>
+        definition.kind === 'FragmentDefinition' ? definition : null,
+      )
+      .filter(Boolean),
+  );
+  const newDefinition: OperationDefinitionNode = {
+    ...definition,
+    operation: kind,
+    selectionSet:
+      selections.length > 0
+        ? {...definition.selectionSet, selections}
+        : PLACEHOLDER_SELECTION_SET,
+  };
+  return replaceDefinition(document, definition, newDefinition);
+}
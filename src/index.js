@@ -1,4 +1,17 @@
 import Explorer from './Explorer';
 
+export {
+  addOperation,
+  coerceArgValue,
+  defaultArgs,
+  deleteOperation,
+  duplicateOperation,
+  moveOperation,
+  renameOperation,
+  retypeOperation,
+  setArgument,
+  toggleField,
+} from './editing';
+
 export {Explorer};
 export default Explorer;
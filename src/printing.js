@@ -0,0 +1,526 @@
+// @flow
+
+// Prints edited documents as changes to the text they were parsed from. Only
+// the nodes that changed are printed again, so the user's comments and
+// formatting everywhere else stay as they were.
+
+import {print} from 'graphql';
+import {QueryDocumentKeys} from 'graphql/language/visitor';
+
+import {PLACEHOLDER_SELECTION_SET} from './editing';
+
+import type {ASTNode, DocumentNode, Token} from 'graphql';
+
+type TextEdit = {|
+  start: number,
+  end: number,
+  text: string,
+|};
+
+// Like `token.prev` and `token.next`, but skips over comments
+function adjacentToken(token: Token, direction: 'prev' | 'next'): ?Token {
+  let adjacent = token[direction];
+  while (adjacent && adjacent.kind === 'Comment') {
+    adjacent = adjacent[direction];
+  }
+  return adjacent;
+}
+
+function lineStart(source: string, position: number): number {
+  return source.lastIndexOf('\n', position - 1) + 1;
+}
+
+function lineIndent(source: string, position: number): string {
+  const match = /^[ \t]*/.exec(
+    source.slice(lineStart(source, position), position),
+  );
+  return match ? match[0] : '';
+}
+
+function startsLine(source: string, position: number): boolean {
+  return /^[ \t]*$/.test(source.slice(lineStart(source, position), position));
+}
+
+const PRINTED_PLACEHOLDER_SELECTION_SET =
+  '{\n  __typename # Placeholder value\n}';
+
+// Like `print`, but marks the selection new operations start out with, so
+// it's clear that it's there to be replaced
+export function printNode(node: any): string {
+  if (node === PLACEHOLDER_SELECTION_SET) {
+    return PRINTED_PLACEHOLDER_SELECTION_SET;
+  } else if (
+    node.kind === 'OperationDefinition' &&
+    node.selectionSet === PLACEHOLDER_SELECTION_SET
+  ) {
+    const header = print({
+      ...node,
+      selectionSet: {kind: 'SelectionSet', selections: []},
+    });
+    return `${header} ${PRINTED_PLACEHOLDER_SELECTION_SET}`;
+  } else if (node.kind === 'Document') {
+    return `${node.definitions.map(printNode).join('\n\n')}\n`;
+  }
+  return print(node);
+}
+
+// How the source breaks and indents its lines, so that printed nodes fit in
+type SourceFormat = {|
+  newline: string,
+  indentUnit: string,
+|};
+
+function sourceFormat(source: string): SourceFormat {
+  const indents = source.match(/^[ \t]+(?=\S)/gm) || [];
+  const spaceCounts = indents
+    .filter(indent => indent[0] === ' ')
+    .map(indent => indent.length);
+  return {
+    newline: source.indexOf('\r\n') !== -1 ? '\r\n' : '\n',
+    indentUnit:
+      indents.length && indents[0][0] === '\t'
+        ? '\t'
+        : spaceCounts.length
+        ? ' '.repeat(Math.min(...spaceCounts))
+        : '  ',
+  };
+}
+
+// `print` indents by two spaces and breaks lines with `\n`
+function printIndented(
+  node: ASTNode,
+  indent: string,
+  format: SourceFormat,
+): string {
+  return printNode(node)
+    .split('\n')
+    .map((line, index) => {
+      const reindented = line.replace(/^( {2})+/, spaces =>
+        format.indentUnit.repeat(spaces.length / 2),
+      );
+      return index === 0 ? reindented : indent + reindented;
+    })
+    .join(format.newline);
+}
+
+function sourceText(source: string, node: any): string {
+  return source.slice(node.loc.start, node.loc.end);
+}
+
+function applyTextEdits(
+  source: string,
+  start: number,
+  end: number,
+  edits: Array<TextEdit>,
+): string {
+  let text = '';
+  let position = start;
+  edits.forEach(edit => {
+    text += source.slice(position, edit.start) + edit.text;
+    position = edit.end;
+  });
+  return text + source.slice(position, end);
+}
+
+function isShorthandOperation(node: any): boolean {
+  return (
+    node.kind === 'OperationDefinition' && node.loc.startToken.kind === '{'
+  );
+}
+
+// The text for `newNode` where `oldNode` used to be. Only the parts of
+// `oldNode` that changed are printed again, everything else is copied from
+// the source.
+function reprintNode(
+  source: string,
+  format: SourceFormat,
+  oldNode: any,
+  newNode: any,
+): string {
+  if (newNode === oldNode) {
+    return sourceText(source, oldNode);
+  }
+  const edits =
+    newNode.kind === oldNode.kind && newNode !== PLACEHOLDER_SELECTION_SET
+      ? nodeTextEdits(source, format, oldNode, newNode)
+      : null;
+  return edits
+    ? applyTextEdits(source, oldNode.loc.start, oldNode.loc.end, edits)
+    : printIndented(newNode, lineIndent(source, oldNode.loc.start), format);
+}
+
+// Returns null when the change can't be made in place and the whole node
+// has to be printed again
+function nodeTextEdits(
+  source: string,
+  format: SourceFormat,
+  oldNode: any,
+  newNode: any,
+): ?Array<TextEdit> {
+  const keys = QueryDocumentKeys[newNode.kind];
+  if (!keys) {
+    return null;
+  }
+  const edits = [];
+
+  let childKeys = keys;
+  if (isShorthandOperation(oldNode)) {
+    // Printed without a selection set, this is empty unless `{ ... }` needs
+    // to become e.g. `query Name { ... }`
+    const header = print({
+      ...newNode,
+      selectionSet: {kind: 'SelectionSet', selections: []},
+    });
+    if (header) {
+      edits.push({
+        start: oldNode.loc.start,
+        end: oldNode.selectionSet.loc.start,
+        text: `${header} `,
+      });
+      childKeys = ['selectionSet'];
+    }
+  }
+
+  // Leaf values, e.g. the value of a name, and the operation type aren't
+  // nodes of their own
+  const properties = Object.keys(oldNode).concat(
+    Object.keys(newNode).filter(property => !(property in oldNode)),
+  );
+  for (let i = 0; i < properties.length; i++) {
+    const property = properties[i];
+    const oldValue = oldNode[property];
+    const newValue = newNode[property];
+    if (
+      oldValue === newValue ||
+      typeof oldValue === 'object' ||
+      typeof newValue === 'object'
+    ) {
+      continue;
+    }
+    if (property === 'operation' && oldNode.loc.startToken.kind === 'Name') {
+      edits.push({
+        start: oldNode.loc.startToken.start,
+        end: oldNode.loc.startToken.end,
+        text: newValue,
+      });
+    } else if (!isShorthandOperation(oldNode)) {
+      return null;
+    }
+  }
+
+  for (let i = 0; i < childKeys.length; i++) {
+    const key = childKeys[i];
+    const oldChild = oldNode[key];
+    // `print` leaves out empty selection sets, braces and all
+    const newChild =
+      newNode[key] &&
+      newNode[key].kind === 'SelectionSet' &&
+      newNode[key].selections.length === 0
+        ? null
+        : newNode[key];
+    if (oldChild === newChild || (!oldChild && !newChild)) {
+      continue;
+    }
+
+    let edit;
+    if (Array.isArray(oldChild) || Array.isArray(newChild)) {
+      const oldItems = oldChild || [];
+      // Definitions that lost all of their selections are set to null
+      const newItems = (newChild || []).filter(Boolean);
+      if (oldItems.length === 0 && newItems.length === 0) {
+        continue;
+      }
+      edit =
+        oldItems.length === 0
+          ? listInsertion(source, oldNode, key, newItems)
+          : newItems.length === 0
+          ? listRemoval(key, oldItems)
+          : listTextEdit(source, format, key, oldItems, newItems);
+    } else if (oldChild && newChild) {
+      edit = {
+        start: oldChild.loc.start,
+        end: oldChild.loc.end,
+        text: reprintNode(source, format, oldChild, newChild),
+      };
+    } else if (newChild) {
+      edit = childInsertion(source, format, oldNode, key, newChild);
+    } else {
+      edit = childRemoval(oldNode, key, oldChild);
+    }
+
+    if (!edit) {
+      return null;
+    }
+    edits.push(edit);
+  }
+  return edits;
+}
+
+// What identifies an item among its siblings
+function listItemKey(node: any): ?string {
+  switch (node.kind) {
+    case 'Field':
+      return (node.alias || node.name).value;
+    case 'InlineFragment':
+      return node.typeCondition ? node.typeCondition.name.value : '';
+    case 'VariableDefinition':
+      return node.variable.name.value;
+    default:
+      return node.name ? node.name.value : null;
+  }
+}
+
+const INLINE_LIST_SEPARATORS = {
+  arguments: ', ',
+  variableDefinitions: ', ',
+  values: ', ',
+  fields: ', ',
+};
+
+// Where an item starts, including the comments on the lines right above it,
+// so that they stay with the item when it moves
+function listItemStart(item: any): number {
+  let start = item.loc.startToken;
+  let token = start.prev;
+  while (
+    token &&
+    token.kind === 'Comment' &&
+    token.line === start.line - 1 &&
+    // Not a comment at the end of the line of the previous item
+    !(token.prev && token.prev.line === token.line)
+  ) {
+    start = token;
+    token = token.prev;
+  }
+  return start.start;
+}
+
+// Where an item ends, including a comment on the rest of its line
+function listItemEnd(item: any): number {
+  const next = item.loc.endToken.next;
+  return next && next.kind === 'Comment' && next.line === item.loc.endToken.line
+    ? next.end
+    : item.loc.end;
+}
+
+// Finds the old item each new item was made from: the same node, an edited
+// copy of it, or one rebuilt from scratch with the same key. Each old item
+// is matched once, to the same node before any copy of it.
+function matchListItems(
+  oldItems: $ReadOnlyArray<any>,
+  newItems: $ReadOnlyArray<any>,
+): Array<number> {
+  const matches = newItems.map(item => oldItems.indexOf(item));
+  const matchRest = (isMatch: (oldItem: any, item: any) => boolean) => {
+    newItems.forEach((item, index) => {
+      if (matches[index] !== -1) {
+        return;
+      }
+      for (let i = 0; i < oldItems.length; i++) {
+        if (matches.indexOf(i) === -1 && isMatch(oldItems[i], item)) {
+          matches[index] = i;
+          return;
+        }
+      }
+    });
+  };
+  matchRest((oldItem, item) => !!item.loc && oldItem.loc === item.loc);
+  matchRest(
+    (oldItem, item) =>
+      oldItem.kind === item.kind &&
+      listItemKey(oldItem) != null &&
+      listItemKey(oldItem) === listItemKey(item),
+  );
+  return matches;
+}
+
+// Edits the text between the first and the last item of a list, keeping the
+// original text of items that stay and the separators between items that
+// stay next to each other
+function listTextEdit(
+  source: string,
+  format: SourceFormat,
+  key: string,
+  oldItems: $ReadOnlyArray<any>,
+  newItems: $ReadOnlyArray<any>,
+): ?TextEdit {
+  const first = oldItems[0];
+  const last = oldItems[oldItems.length - 1];
+  const indent = lineIndent(source, first.loc.start);
+  const isInline = !startsLine(source, first.loc.start);
+  const separator =
+    key === 'definitions'
+      ? format.newline + format.newline
+      : !isInline
+      ? format.newline + indent
+      : oldItems.length > 1
+      ? source.slice(first.loc.end, oldItems[1].loc.start)
+      : INLINE_LIST_SEPARATORS[key] || ' ';
+
+  const matches = matchListItems(oldItems, newItems);
+  let text = '';
+  for (let i = 0; i < newItems.length; i++) {
+    const item = newItems[i];
+    const oldItem = matches[i] === -1 ? null : oldItems[matches[i]];
+
+    const itemText = oldItem
+      ? source.slice(listItemStart(oldItem), oldItem.loc.start) +
+        reprintNode(source, format, oldItem, item) +
+        source.slice(oldItem.loc.end, listItemEnd(oldItem))
+      : printIndented(item, indent, format);
+    if (
+      isInline &&
+      itemText.indexOf('\n') !== -1 &&
+      (!oldItem ||
+        source
+          .slice(listItemStart(oldItem), listItemEnd(oldItem))
+          .indexOf('\n') === -1)
+    ) {
+      // Don't squeeze a multi-line item into a single-line list
+      return null;
+    }
+
+    if (i > 0) {
+      text +=
+        matches[i - 1] !== -1 && matches[i] === matches[i - 1] + 1
+          ? source.slice(
+              listItemEnd(oldItems[matches[i - 1]]),
+              listItemStart(oldItems[matches[i]]),
+            )
+          : separator;
+    }
+    text += itemText;
+  }
+  return {start: listItemStart(first), end: listItemEnd(last), text};
+}
+
+function listRemoval(key: string, oldItems: $ReadOnlyArray<any>): ?TextEdit {
+  const first = oldItems[0];
+  const last = oldItems[oldItems.length - 1];
+  switch (key) {
+    case 'arguments':
+    case 'variableDefinitions':
+      const open = adjacentToken(first.loc.startToken, 'prev');
+      const close = adjacentToken(last.loc.endToken, 'next');
+      return open && open.kind === '(' && close && close.kind === ')'
+        ? {start: open.start, end: close.end, text: ''}
+        : null;
+    case 'directives':
+      const previous = adjacentToken(first.loc.startToken, 'prev');
+      return previous
+        ? {start: previous.end, end: last.loc.end, text: ''}
+        : null;
+    case 'definitions':
+      return {start: listItemStart(first), end: listItemEnd(last), text: ''};
+    default:
+      return null;
+  }
+}
+
+function insertion(position: number, text: string): TextEdit {
+  return {start: position, end: position, text};
+}
+
+function listInsertion(
+  source: string,
+  oldNode: any,
+  key: string,
+  newItems: $ReadOnlyArray<any>,
+): ?TextEdit {
+  switch (key) {
+    case 'arguments':
+      return insertion(
+        oldNode.name.loc.end,
+        `(${newItems.map(item => print(item)).join(', ')})`,
+      );
+    case 'variableDefinitions':
+      if (oldNode.kind !== 'OperationDefinition') {
+        return null;
+      }
+      return insertion(
+        oldNode.name ? oldNode.name.loc.end : oldNode.loc.startToken.end,
+        `(${newItems.map(item => print(item)).join(', ')})`,
+      );
+    case 'directives':
+      // Directives go right before the selection set, if there is one
+      const previous = oldNode.selectionSet
+        ? adjacentToken(oldNode.selectionSet.loc.startToken, 'prev')
+        : null;
+      return insertion(
+        previous ? previous.end : oldNode.loc.end,
+        ` ${newItems.map(item => print(item)).join(' ')}`,
+      );
+    default:
+      return null;
+  }
+}
+
+function childInsertion(
+  source: string,
+  format: SourceFormat,
+  oldNode: any,
+  key: string,
+  newChild: any,
+): ?TextEdit {
+  switch (key) {
+    case 'selectionSet':
+      return insertion(
+        oldNode.loc.end,
+        ` ${printIndented(
+          newChild,
+          lineIndent(source, oldNode.loc.start),
+          format,
+        )}`,
+      );
+    case 'alias':
+      return insertion(oldNode.loc.start, `${newChild.value}: `);
+    case 'name':
+      return oldNode.kind === 'OperationDefinition'
+        ? insertion(oldNode.loc.startToken.end, ` ${newChild.value}`)
+        : null;
+    default:
+      return null;
+  }
+}
+
+function childRemoval(oldNode: any, key: string, oldChild: any): ?TextEdit {
+  switch (key) {
+    case 'selectionSet':
+      const previous = adjacentToken(oldChild.loc.startToken, 'prev');
+      return previous
+        ? {start: previous.end, end: oldChild.loc.end, text: ''}
+        : null;
+    case 'alias':
+      return {
+        start: oldChild.loc.start,
+        end: oldNode.name.loc.start,
+        text: '',
+      };
+    case 'name':
+      return oldNode.kind === 'OperationDefinition'
+        ? {start: oldNode.loc.startToken.end, end: oldChild.loc.end, text: ''}
+        : null;
+    default:
+      return null;
+  }
+}
+
+// Prints `newDocument`, an edited version of `oldDocument`, as a change to the
+// text `oldDocument` was parsed from, so that the user's comments and
+// formatting outside of the edit stay as they were
+export function printDocumentEdit(
+  oldDocument: DocumentNode,
+  // Untyped like `print`, since the explorer builds its nodes loosely
+  newDocument: any,
+): string {
+  const loc = oldDocument.loc;
+  if (!loc) {
+    return printNode(newDocument);
+  }
+  const source = loc.source.body;
+  return (
+    source.slice(0, loc.start) +
+    reprintNode(source, sourceFormat(source), oldDocument, newDocument) +
+    source.slice(loc.end)
+  );
+}